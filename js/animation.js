@@ -1,8 +1,23 @@
 //==============================================================================
 // Animation Classes - ES6 Module
+import { aabbOverlap, computeAABB, transformPolygon } from './boundingShape.js';
+import { Clock, SYSTEM_CLOCK } from './clock.js';
+import { DIRECTION, Vector2D, applyMatrix2D, composeMatrix2D, multiplyMatrix2D } from './base.js';
 
+/**
+ * Events fired by the components. Listeners are matched by identity of the type,
+ * the name is meant for logging. Events of types that bubble are passed on from the
+ * component to its top level object (getRoot) and from there to the ObjectManager.
+ */
 export const EVENT_TYPES = {
-    OFF_SCREEN: {}
+    OFF_SCREEN: {name: 'offScreen', bubbles: true},
+    ANIMATION_END: {name: 'animationEnd', bubbles: true},
+    BOUNDS_REACHED: {name: 'boundsReached', bubbles: true},
+    COLLISION: {name: 'collision', bubbles: false},
+    FRAME_CHANGED: {name: 'frameChanged', bubbles: false},
+    KEYFRAME: {name: 'keyframe', bubbles: true},
+    PAUSED: {name: 'paused', bubbles: false},
+    RESUMED: {name: 'resumed', bubbles: false}
 };
 
 export const STATE = {
@@ -15,15 +30,120 @@ export const STATE = {
     UNMANAGED: {value: 32}
 };
 
+/**
+ * What a Vector2DAnimation does when it reaches its bounds
+ */
+export const BOUNDS_MODE = {
+    //stop at the edge
+    CLAMP: 'clamp',
+    //continue at the opposite edge
+    WRAP: 'wrap',
+    //reflect the direction
+    BOUNCE: 'bounce',
+    //stop at the edge and remove the top level object from its ObjectManager
+    KILL: 'kill'
+};
+
+/**
+ * Names of the layers every ObjectManager starts with, see Layer
+ */
+export const LAYER = {
+    BACKGROUND: 'background',
+    WORLD: 'world',
+    EFFECTS: 'effects',
+    //not moved by the camera, e.g. scores and the FPSRenderer
+    HUD: 'hud'
+};
+
+const DEFAULT_LAYERS = [
+    {name: LAYER.BACKGROUND, order: 0},
+    {name: LAYER.WORLD, order: 100},
+    {name: LAYER.EFFECTS, order: 200},
+    {name: LAYER.HUD, order: 300, fixed: true}
+];
+
 export const PART_STATE = {
     CONTINUE: {},
     STOP: {}
 };
 
-const fireSingel = (listener, idx, array, eventType, event) => {
-    if (listener.eventType === eventType) {
-        listener.listen(eventType, event);
+/**
+ * Calls the listeners of target registered for eventType with (eventType, event, target),
+ * once-listeners are removed before they are called.
+ * @returns {boolean} - false if a listener returned false to stop the propagation
+ */
+const dispatch = (target, eventType, event) => {
+    if (target.listeners.length === 0) {
+        return true;
+    }
+    let propagate = true;
+    //iterate a copy, listeners may remove themselves or others
+    target.listeners.slice().forEach((listener) => {
+        if (listener.eventType === eventType) {
+            if (listener.once) {
+                target.removeListener(listener);
+            }
+            if (listener.listen(eventType, event, target) === false) {
+                propagate = false;
+            }
+        }
+    });
+    return propagate;
+};
+
+const createListener = (eventType, callback, once) => {
+    return {eventType, listen: callback, callback, once};
+};
+
+/**
+ * @param {Array} listeners
+ * @param {Object} listenerOrEventType - a listener object or, together with callback, an event type
+ * @param {Function} callback - the function given to on or once
+ * @returns {Array} - the remaining listeners
+ */
+const withoutListener = (listeners, listenerOrEventType, callback) => {
+    if (callback === undefined) {
+        return listeners.filter((listener) => listener !== listenerOrEventType);
     }
+    return listeners.filter((listener) => listener.eventType !== listenerOrEventType || listener.callback !== callback);
+};
+
+const rectPolygon = (xmin, ymin, xmax, ymax) => {
+    return [{x: xmin, y: ymin}, {x: xmax, y: ymin}, {x: xmax, y: ymax}, {x: xmin, y: ymax}];
+};
+
+const isPaused = (obj) => {
+    return typeof obj.isPaused === 'function' && obj.isPaused();
+};
+
+const channelValue = (channel) => {
+    return typeof channel === 'number' ? channel : channel.getValue();
+};
+
+const getBoundingPolygonOf = (obj) => {
+    return typeof obj.getBoundingPolygon === 'function' ? obj.getBoundingPolygon() : undefined;
+};
+
+/**
+ * AABB of a top level object grown to cover its children (SceneNode), undefined if nothing has bounds.
+ */
+const getBoundsOf = (obj) => {
+    const polygon = getBoundingPolygonOf(obj);
+    let aabb = polygon ? computeAABB(polygon) : undefined;
+    const children = typeof obj.getChildren === 'function' ? obj.getChildren() : [];
+    for (let i = 0; i < children.length; i++) {
+        const child = getBoundsOf(children[i]);
+        if (child === undefined) {
+            continue;
+        }
+        aabb = aabb === undefined ? child : {
+            xmin: Math.min(aabb.xmin, child.xmin),
+            ymin: Math.min(aabb.ymin, child.ymin),
+            xmax: Math.max(aabb.xmax, child.xmax),
+            ymax: Math.max(aabb.ymax, child.ymax)
+        };
+    }
+    return aabb;
 };
 
 const compareNeg = (cur, to) => {
@@ -33,6 +153,26 @@ const comparePos = (cur, to) => {
     return cur >= to;
 };
 
+/**
+ * Merges two arrays sorted by order, elements of "sorted" go first on equal order.
+ */
+const mergeByOrder = (sorted, additions) => {
+    const result = new Array(sorted.length + additions.length);
+    let i = 0;
+    let j = 0;
+    let k = 0;
+    while (i < sorted.length && j < additions.length) {
+        result[k++] = ManagedObject.sortComparator(additions[j], sorted[i]) < 0 ? additions[j++] : sorted[i++];
+    }
+    while (i < sorted.length) {
+        result[k++] = sorted[i++];
+    }
+    while (j < additions.length) {
+        result[k++] = additions[j++];
+    }
+    return result;
+};
+
 /**
  * Base Class for a object managed by ObjectManager.
  */
@@ -45,6 +185,10 @@ export class ManagedObject {
             //pbjects that are painted "later" might hide parts of objects that have been
             //painted earlier
             this.order = 0;
+            //name of the Layer of the ObjectManager the object is painted in, order applies within the layer
+            this.layer = LAYER.WORLD;
+            //ObjectPool the object returns to when it is removed from its ObjectManager
+            this.pool = null;
         }
         
         setManager(manager, idx) {
@@ -67,6 +211,9 @@ export class ManagedObject {
         
         setOrder(order) {
             this.order = order;
+            if (this.objectManager) {
+                this.objectManager.invalidateOrder();
+            }
             return this;
         }
         
@@ -74,6 +221,18 @@ export class ManagedObject {
             return this.order;
         }
         
+        setLayer(layer) {
+            this.layer = layer;
+            if (this.objectManager) {
+                this.objectManager.invalidateOrder();
+            }
+            return this;
+        }
+        
+        getLayer() {
+            return this.layer;
+        }
+        
         static sortComparator(a, b) {
             return a.order - b.order;
         }
@@ -83,22 +242,181 @@ export class ManagedObject {
  * Manages the Objects, mostly this should be Paintable top level objects.
  */
 export class ObjectManager {
-        constructor() {
+        constructor(clock) {
+            //game time for all managed components, see Clock
+            this.clock = clock || new Clock();
             this.counter = 0;
             this.animations = [];
             this.additions = [];
-            this.deletions = [];
+            //a Set, so commit removes all deletions in one pass over the animations
+            this.deletions = new Set();
+            //false if the order of a managed object changed since the last commit
+            this.sorted = true;
+            //optional broad phase index, see setSpatialIndex
+            this.spatialIndex = null;
+            this.paused = false;
+            //receives the bubbling events of all managed objects, see EVENT_TYPES
+            this.listeners = [];
+            //type -> ObjectPool, see createPool
+            this.pools = new Map();
+            //sorted by layer order, see addLayer
+            this.layers = [];
+            this.layersByName = new Map();
+            DEFAULT_LAYERS.forEach((layer) => this.addLayer(layer.name, layer));
+            //optional view applied to all layers but the fixed ones, see setCamera
+            this.camera = null;
+        }
+        
+        /**
+         * Adds a named layer, objects choose their layer with setLayer.
+         * @param {string} name
+         * @param {Object} options - see Layer
+         * @returns {Layer} - the new layer
+         */
+        addLayer(name, options) {
+            if (this.layersByName.has(name)) {
+                throw new Error('Layer ' + name + ' exists already');
+            }
+            const layer = new Layer(name, options);
+            this.layersByName.set(name, layer);
+            this.layers.push(layer);
+            //stable, layers of the same order keep the order they were added in
+            this.layers.sort(ManagedObject.sortComparator);
+            return layer;
+        }
+        
+        getLayer(name) {
+            const layer = this.layersByName.get(name);
+            if (!layer) {
+                throw new Error('Unknown layer ' + name);
+            }
+            return layer;
+        }
+        
+        getLayers() {
+            return this.layers;
+        }
+        
+        layerOf(animObj) {
+            return this.getLayer(typeof animObj.getLayer === 'function' ? animObj.getLayer() : LAYER.WORLD);
+        }
+        
+        /**
+         * @param {Object} camera - provides apply(ctx, parallax, alpha) which transforms the context
+         *                          of a layer before its objects are painted, null for none.
+         *                          A camera with update (e.g. Camera) is updated after all objects.
+         */
+        setCamera(camera) {
+            this.camera = camera;
+            if (camera && typeof camera.setClock === 'function') {
+                camera.setClock(this.clock);
+            }
+            return this;
+        }
+        
+        getCamera() {
+            return this.camera;
+        }
+        
+        addListener(listener) {
+            this.listeners.push(listener);
+            return this;
+        }
+        
+        on(eventType, callback) {
+            return this.addListener(createListener(eventType, callback, false));
+        }
+        
+        once(eventType, callback) {
+            return this.addListener(createListener(eventType, callback, true));
         }
         
+        removeListener(listenerOrEventType, callback) {
+            this.listeners = withoutListener(this.listeners, listenerOrEventType, callback);
+            return this;
+        }
+        
+        fire(eventType, event) {
+            dispatch(this, eventType, event);
+        }
+        
+        /**
+         * Keep a broad phase index (e.g. SpatialGrid) in sync with the managed objects.
+         * It is updated on each commit with the AABB of every object providing getBoundingPolygon,
+         * grown to cover the bounding polygons of its children (SceneNode).
+         */
+        setSpatialIndex(spatialIndex) {
+            this.spatialIndex = spatialIndex;
+            return this;
+        }
+        
+        /**
+         * Adds an object with the next commit. The object is bound to the clock of
+         * this manager right away, so add it before calling init().
+         */
         add(animObj) {
+            //fail early for objects of unknown layers
+            this.layerOf(animObj);
             this.additions.push(animObj);
+            animObj.setState(STATE.NEW);
             if (typeof animObj.setManager === 'function') {
                 animObj.setManager(this, this.counter++);
             }
+            if (typeof animObj.setClock === 'function') {
+                animObj.setClock(this.clock);
+            }
+        }
+        
+        getClock() {
+            return this.clock;
+        }
+        
+        /**
+         * Objects of "type" are taken from a pool by spawn and go back into it when they are removed.
+         * @param {string} type - any name
+         * @param {Function} factory - creates a new object of the type when the pool is empty
+         * @param {number} maxSize - number of removed objects kept for reuse (default: unlimited)
+         */
+        createPool(type, factory, maxSize) {
+            this.pools.set(type, new ObjectPool(factory, maxSize));
+            return this;
+        }
+        
+        /**
+         * Adds an object of a pooled type, reusing a removed one if possible.
+         * init() is called on the object to reset it, so it must restore the complete start state.
+         * @param {string} type - see createPool
+         * @param {Function} setup - optional (object, reused) called before init, e.g. to choose a new start position
+         * @returns {ManagedObject} - the added object
+         */
+        spawn(type, setup) {
+            const pool = this.pools.get(type);
+            if (!pool) {
+                throw new Error('No pool for ' + type);
+            }
+            const reused = pool.size() > 0;
+            const animObj = pool.acquire();
+            if (setup) {
+                setup(animObj, reused);
+            }
+            this.add(animObj);
+            animObj.init();
+            return animObj;
+        }
+        
+        /**
+         * @returns {Object} - type -> {hits, misses, size} of all pools
+         */
+        getPoolStats() {
+            const stats = {};
+            this.pools.forEach((pool, type) => {
+                stats[type] = pool.getStats();
+            });
+            return stats;
         }
         
         remove(animObj) {
-            this.deletions.push(animObj);
+            this.deletions.add(animObj);
             animObj.setState(STATE.UNMANAGED_PENDING);
         }
         
@@ -106,16 +424,95 @@ export class ObjectManager {
             return this.animations;
         }
         
+        /**
+         * Updates all objects, objects reporting INACTIVE_PENDING are removed with the next commit.
+         */
+        update(current) {
+            //commit replaces the array, so listeners committing during the update don't disturb the loops
+            const animations = this.animations;
+            const len = animations.length;
+            //remember positions of all objects first, composites share position animations
+            for (let i = 0; i < len; i++) {
+                if (typeof animations[i].snapshot === 'function') {
+                    animations[i].snapshot();
+                }
+            }
+            for (let i = 0; i < len; i++) {
+                const elem = animations[i];
+                if (isPaused(elem)) {
+                    continue;
+                }
+                const retState = elem.update(current);
+                if (retState && retState === STATE.INACTIVE_PENDING) {
+                    this.remove(elem.getRoot() || elem);
+                }
+            }
+            //the camera follows the objects, so it moves last
+            const camera = this.camera;
+            if (camera && typeof camera.update === 'function' && !isPaused(camera)) {
+                if (typeof camera.snapshot === 'function') {
+                    camera.snapshot();
+                }
+                camera.update(current);
+            }
+        }
+        
+        /**
+         * Paints all visible layers in order.
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {number} alpha - interpolation between the last two updates, see GameLoop
+         */
+        paint(ctx, alpha) {
+            const len = this.layers.length;
+            for (let i = 0; i < len; i++) {
+                if (this.layers[i].isVisible()) {
+                    this.layers[i].paint(ctx, alpha, this.camera);
+                }
+            }
+        }
+        
+        /**
+         * Stops the clock and pauses every managed object. Painting may go on,
+         * updates are skipped until resume. Listeners of the manager get PAUSED resp. RESUMED.
+         */
         pause() {
+            if (this.paused) {
+                return;
+            }
+            this.paused = true;
+            this.clock.pause();
+            const len = this.animations.length;
+            for (let i = 0; i < len; i++) {
+                if (typeof this.animations[i].pause === 'function') {
+                    this.animations[i].pause();
+                }
+            }
+            if (this.camera && typeof this.camera.pause === 'function') {
+                this.camera.pause();
+            }
+            this.fire(EVENT_TYPES.PAUSED, this);
         }
         
         resume() {
+            if (!this.paused) {
+                return;
+            }
+            this.paused = false;
+            this.clock.resume();
             const len = this.animations.length;
             for (let i = 0; i < len; i++) {
                 if (typeof this.animations[i].resume === 'function') {
                     this.animations[i].resume();
                 }
             }
+            if (this.camera && typeof this.camera.resume === 'function') {
+                this.camera.resume();
+            }
+            this.fire(EVENT_TYPES.RESUMED, this);
+        }
+        
+        isPaused() {
+            return this.paused;
         }
         
         /**
@@ -124,33 +521,264 @@ export class ObjectManager {
          * This is sort of a transaction.
          */
         commit() {
-            const len = this.deletions.length;
+            let changed = false;
+            if (this.deletions.size > 0) {
+                const deletions = this.deletions;
+                this.animations = this.animations.filter((elem) => !deletions.has(elem));
+                this.layers.forEach((layer) => {
+                    layer.animations = layer.animations.filter((elem) => !deletions.has(elem));
+                });
+                //objects added and removed before this commit are never managed
+                this.additions = this.additions.filter((elem) => !deletions.has(elem));
+                deletions.forEach((elem) => {
+                    if (this.spatialIndex) {
+                        this.spatialIndex.remove(elem);
+                    }
+                    elem.setState(STATE.UNMANAGED);
+                    if (elem.pool) {
+                        elem.pool.release(elem);
+                    }
+                });
+                this.deletions = new Set();
+                changed = true;
+            }
+            if (!this.sorted) {
+                //objects may have changed their layer as well
+                this.layers.forEach((layer) => {
+                    layer.animations = [];
+                });
+                this.animations.forEach((elem) => this.layerOf(elem).animations.push(elem));
+                //Array.sort is stable, objects of the same order keep the order they were added in
+                this.layers.forEach((layer) => layer.animations.sort(ManagedObject.sortComparator));
+                this.sorted = true;
+                changed = true;
+            }
+            if (this.additions.length > 0) {
+                const additions = new Map();
+                this.additions.forEach((elem) => {
+                    const layer = this.layerOf(elem);
+                    if (!additions.has(layer)) {
+                        additions.set(layer, []);
+                    }
+                    additions.get(layer).push(elem);
+                });
+                additions.forEach((elems, layer) => {
+                    layer.animations = mergeByOrder(layer.animations, elems.sort(ManagedObject.sortComparator));
+                });
+                this.additions = [];
+                changed = true;
+            }
+            if (changed) {
+                //update order follows paint order
+                this.animations = [].concat(...this.layers.map((layer) => layer.animations));
+            }
+            if (this.spatialIndex) {
+                this.updateSpatialIndex();
+            }
+            //console.log(this.animations.length);
+        }
+        
+        /**
+         * Called when the order or layer of a managed object changes, the next commit sorts again.
+         */
+        invalidateOrder() {
+            this.sorted = false;
+        }
+        
+        updateSpatialIndex() {
+            const len = this.animations.length;
             for (let i = 0; i < len; i++) {
-                const len2 = this.animations.length;
-                for (let j = 0; j < len2; j++) {
-                    if (this.animations[j].idx === this.deletions[i].idx) {
-                        this.deletions[i].setState(STATE.UNMANAGED);
-                        this.animations.splice(j, 1);
-                        break;
+                const aabb = getBoundsOf(this.animations[i]);
+                if (aabb) {
+                    this.spatialIndex.update(this.animations[i], aabb);
+                } else {
+                    this.spatialIndex.remove(this.animations[i]);
+                }
+            }
+        }
+        
+        /**
+         * @param {{xmin: number, ymin: number, xmax: number, ymax: number}} rect
+         * @returns {Array<ManagedObject>} - all managed objects whose bounds overlap rect
+         */
+        query(rect) {
+            if (this.spatialIndex) {
+                return this.spatialIndex.query(rect);
+            }
+            return this.animations.filter((elem) => {
+                const aabb = getBoundsOf(elem);
+                return aabb && aabbOverlap(aabb, rect);
+            });
+        }
+        
+        /**
+         * @returns {Array<Array<ManagedObject>>} - pairs of managed objects whose bounds overlap
+         */
+        getCandidatePairs() {
+            if (this.spatialIndex) {
+                return this.spatialIndex.queryPairs();
+            }
+            const boxes = [];
+            this.animations.forEach((elem) => {
+                const aabb = getBoundsOf(elem);
+                if (aabb) {
+                    boxes.push({elem, aabb});
+                }
+            });
+            const pairs = [];
+            for (let i = 0; i < boxes.length; i++) {
+                for (let j = i + 1; j < boxes.length; j++) {
+                    if (aabbOverlap(boxes[i].aabb, boxes[j].aabb)) {
+                        pairs.push([boxes[i].elem, boxes[j].elem]);
                     }
                 }
             }
-            this.animations = this.animations.concat(this.additions);
-            this.animations.sort(ManagedObject.sortComparator);
-            this.additions = [];
-            this.deletions = [];
-            //console.log(this.animations.length);
+            return pairs;
         }
     }
 
 /**
- * Defines interface for an Object Listener
+ * Named group of objects painted together, see ObjectManager.addLayer. The objects
+ * of a layer are painted in their order, after those of all layers with a lower order.
+ */
+export class Layer {
+        /**
+         * @param {string} name
+         * @param {Object} options
+         * @param {number} options.order - layers with a higher order are painted later (default: 0)
+         * @param {boolean} options.visible - invisible layers are updated, but not painted (default: true)
+         * @param {number} options.alpha - opacity multiplied into all objects of the layer (default: 1)
+         * @param {string} options.compositeOperation - globalCompositeOperation of the canvas (default: 'source-over')
+         * @param {number} options.parallax - how much the layer follows the camera, e.g. 0.5 for a distant background (default: 1)
+         * @param {boolean} options.fixed - ignores the camera completely, i.e. its moves, zoom and shake (default: false)
+         */
+        constructor(name, options = {}) {
+            this.name = name;
+            this.order = options.order || 0;
+            this.visible = options.visible !== false;
+            this.alpha = options.alpha === undefined ? 1 : options.alpha;
+            this.compositeOperation = options.compositeOperation || 'source-over';
+            this.parallax = options.parallax === undefined ? 1 : options.parallax;
+            this.fixed = options.fixed === true;
+            //sorted by order, maintained by the ObjectManager
+            this.animations = [];
+        }
+        
+        getName() {
+            return this.name;
+        }
+        
+        getOrder() {
+            return this.order;
+        }
+        
+        setVisible(visible) {
+            this.visible = visible;
+            return this;
+        }
+        
+        isVisible() {
+            return this.visible;
+        }
+        
+        setAlpha(alpha) {
+            this.alpha = alpha;
+            return this;
+        }
+        
+        setCompositeOperation(compositeOperation) {
+            this.compositeOperation = compositeOperation;
+            return this;
+        }
+        
+        setParallax(parallax) {
+            this.parallax = parallax;
+            return this;
+        }
+        
+        getParallax() {
+            return this.parallax;
+        }
+        
+        setFixed(fixed) {
+            this.fixed = fixed;
+            return this;
+        }
+        
+        isFixed() {
+            return this.fixed;
+        }
+        
+        getAnimations() {
+            return this.animations;
+        }
+        
+        paint(ctx, alpha, camera) {
+            const len = this.animations.length;
+            if (len === 0) {
+                return;
+            }
+            ctx.save();
+            ctx.globalAlpha *= this.alpha;
+            ctx.globalCompositeOperation = this.compositeOperation;
+            if (camera && !this.fixed) {
+                camera.apply(ctx, this.parallax, alpha);
+            }
+            for (let i = 0; i < len; i++) {
+                this.animations[i].paint(ctx, alpha);
+            }
+            ctx.restore();
+        }
+    }
+
+/**
+ * Removed objects kept for reuse, see ObjectManager.createPool
+ */
+export class ObjectPool {
+        constructor(factory, maxSize = Infinity) {
+            this.factory = factory;
+            this.maxSize = maxSize;
+            this.free = [];
+            this.hits = 0;
+            this.misses = 0;
+        }
+        
+        acquire() {
+            if (this.free.length > 0) {
+                this.hits++;
+                return this.free.pop();
+            }
+            this.misses++;
+            const obj = this.factory();
+            obj.pool = this;
+            return obj;
+        }
+        
+        release(obj) {
+            if (this.free.length < this.maxSize && this.free.indexOf(obj) < 0) {
+                this.free.push(obj);
+            }
+        }
+        
+        size() {
+            return this.free.length;
+        }
+        
+        getStats() {
+            return {hits: this.hits, misses: this.misses, size: this.free.length};
+        }
+    }
+
+/**
+ * Defines interface for an Object Listener. listen is called with the
+ * object the listener is registered on as third argument, returning false
+ * stops a bubbling event from being passed on.
  */
 export class ObjectListener {
         constructor() {
             this.eventType = () => {
             };
-            this.listen = (eventType, event) => {
+            this.listen = (eventType, event, target) => {
             };
         }
     }
@@ -170,19 +798,53 @@ export class ObjectListenerSupport extends ManagedObject {
             return this;
         }
         
+        /**
+         * @param {Object} eventType - one of EVENT_TYPES
+         * @param {Function} callback - (eventType, event, target), see ObjectListener
+         */
+        on(eventType, callback) {
+            return this.addListener(createListener(eventType, callback, false));
+        }
+        
+        /**
+         * Like on, but the callback is removed after the first event.
+         */
+        once(eventType, callback) {
+            return this.addListener(createListener(eventType, callback, true));
+        }
+        
+        /**
+         * Either removeListener(listener) for listeners added with addListener
+         * or removeListener(eventType, callback) for callbacks added with on or once.
+         */
+        removeListener(listenerOrEventType, callback) {
+            this.listeners = withoutListener(this.listeners, listenerOrEventType, callback);
+            return this;
+        }
+        
         fire(eventType, event) {
-            this.listeners.forEach((elem, idx, array) => {
-                fireSingel(elem, idx, array, eventType, event);
-            });
+            if (!dispatch(this, eventType, event) || !eventType.bubbles) {
+                return;
+            }
+            const root = typeof this.getRoot === 'function' ? this.getRoot() : null;
+            if (root && root !== this && root.listeners) {
+                if (!dispatch(root, eventType, event)) {
+                    return;
+                }
+            }
+            const manager = (root || this).objectManager;
+            if (manager) {
+                manager.fire(eventType, event);
+            }
         }
         
+        /**
+         * Fires the event after the current update, e.g. when listeners change the object tree.
+         */
         fireAsync(eventType, event) {
-            const len = this.listeners.length;
-            for (let i = 0; i < len; i++) {
-                timeout(() => {
-                    fireSingel(this.listeners[i], i, this.listeners, eventType, event);
-                }, 2);
-            }
+            setTimeout(() => {
+                this.fire(eventType, event);
+            }, 0);
         }
     }
 
@@ -197,10 +859,14 @@ export class AnimationComponent extends ObjectListenerSupport {
             this.root = null;
             //last update time - we do updates only each "updateDelay" milliseconds
             this.lastUpdateTime = 0;
+            //time source, the ObjectManager hands over its clock when the component is added
+            this.clock = SYSTEM_CLOCK;
+            this.paused = false;
+            this.pausedAt = 0;
         }
         
         init() {
-            this.lastUpdateTime = performance.now();
+            this.lastUpdateTime = this.clock.now();
             return this;
         }
         
@@ -208,12 +874,39 @@ export class AnimationComponent extends ObjectListenerSupport {
             this.lastUpdateTime = current;
         }
         
+        /**
+         * Freezes the component, the time until resume doesn't count as elapsed.
+         * Composites pass this on to their components.
+         */
         pause() {
-            //nothing to do here
+            if (this.paused) {
+                return;
+            }
+            this.paused = true;
+            this.pausedAt = this.clock.now();
+            this.fire(EVENT_TYPES.PAUSED, this);
         }
         
         resume() {
-            this.lastUpdateTime = performance.now();
+            if (!this.paused) {
+                return;
+            }
+            this.paused = false;
+            //shift the last update by the time paused, so the next delta continues where we stopped
+            this.lastUpdateTime += this.clock.now() - this.pausedAt;
+            this.fire(EVENT_TYPES.RESUMED, this);
+        }
+        
+        isPaused() {
+            return this.paused;
+        }
+        
+        setClock(clock) {
+            this.clock = clock;
+        }
+        
+        getClock() {
+            return this.clock;
         }
         
         setRoot(parent) {
@@ -227,6 +920,7 @@ export class AnimationComponent extends ObjectListenerSupport {
 
 /**
  * AnimationComponentDelegate
+ * Pausing passes through to the delegate, which fires PAUSED and RESUMED.
  */
 export class AnimationComponentDelegate extends ObjectListenerSupport {
         constructor(delegate) {
@@ -242,14 +936,38 @@ export class AnimationComponentDelegate extends ObjectListenerSupport {
             return this.delegate.update(current);
         }
         
+        snapshot() {
+            if (typeof this.delegate.snapshot === 'function') {
+                this.delegate.snapshot();
+            }
+        }
+        
+        setClock(clock) {
+            this.delegate.setClock(clock);
+        }
+        
+        getClock() {
+            return this.delegate.getClock();
+        }
+        
         pause() {
+            if (this.isPaused()) {
+                return;
+            }
             this.delegate.pause();
         }
         
         resume() {
+            if (!this.isPaused()) {
+                return;
+            }
             this.delegate.resume();
         }
         
+        isPaused() {
+            return this.delegate.isPaused();
+        }
+        
         setRoot(parent) {
             this.delegate.setRoot(parent);
         }
@@ -260,6 +978,9 @@ export class AnimationComponentDelegate extends ObjectListenerSupport {
         
         setOrder(order) {
             this.delegate.setOrder(order);
+            if (this.objectManager) {
+                this.objectManager.invalidateOrder();
+            }
             return this;
         }
         
@@ -290,11 +1011,35 @@ export class CompositeAnimationComponent extends AnimationComponent {
         update(current) {
             const len = this.components.length;
             for (let i = 0; i < len; i++) {
-                this.components[i].update(current);
+                if (!isPaused(this.components[i])) {
+                    this.components[i].update(current);
+                }
             }
             return super.update(current);
         }
         
+        setClock(clock) {
+            this.clock = clock;
+            const len = this.components.length;
+            for (let i = 0; i < len; i++) {
+                if (typeof this.components[i].setClock === 'function') {
+                    this.components[i].setClock(clock);
+                }
+            }
+        }
+        
+        /**
+         * Lets paintables remember their position before the next update, see PaintableWithAnimation.
+         */
+        snapshot() {
+            const len = this.components.length;
+            for (let i = 0; i < len; i++) {
+                if (typeof this.components[i].snapshot === 'function') {
+                    this.components[i].snapshot();
+                }
+            }
+        }
+        
         setRoot(parent) {
             this.root = parent;
             const len = this.components.length;
@@ -305,84 +1050,415 @@ export class CompositeAnimationComponent extends AnimationComponent {
             }
         }
         
-        getRoot() {
-            return this.root;
+        getRoot() {
+            return this.root;
+        }
+        
+        pause() {
+            if (this.paused) {
+                return;
+            }
+            const len = this.components.length;
+            for (let i = 0; i < len; i++) {
+                if (typeof this.components[i].pause === 'function') {
+                    this.components[i].pause();
+                }
+            }
+            super.pause();
+        }
+        
+        resume() {
+            if (!this.paused) {
+                return;
+            }
+            const len = this.components.length;
+            for (let i = 0; i < len; i++) {
+                if (typeof this.components[i].resume === 'function') {
+                    this.components[i].resume();
+                }
+            }
+            super.resume();
+        }
+    }
+
+/**
+ * PaintableWithStateIndicator combines a Paintable with a StateIndicator
+ */
+export class PaintableWithStateIndicator extends AnimationComponentDelegate {
+        constructor(paintable, objectStateIndicator) {
+            super(paintable);
+            this.paintable = paintable;
+            this.objectStateIndicator = objectStateIndicator;
+        }
+        
+        update(current) {
+            if (!isPaused(this.paintable)) {
+                this.paintable.update(current);
+            }
+            return this.getState();
+        }
+        
+        paint(ctx, alpha) {
+            this.paintable.paint(ctx, alpha);
+        }
+        
+        getBoundingPolygon() {
+            return getBoundingPolygonOf(this.paintable);
+        }
+        
+        getState() {
+            if (this.objectStateIndicator && typeof this.objectStateIndicator.getState === 'function') {
+                return this.objectStateIndicator.getState();
+            } else {
+                return this.state;
+            }
+        }
+    }
+
+/**
+ * PaintableCombination combines two or more paintables (top level objects)
+ */
+export class PaintableCombination extends CompositeAnimationComponent {
+        constructor(paintables) {
+            super(paintables);
+        }
+        
+        paint(ctx, alpha) {
+            const len = this.components.length;
+            for (let i = 0; i < len; i++) {
+                this.components[i].paint(ctx, alpha);
+            }
+        }
+        
+        /**
+         * Rectangle enclosing the bounds of all paintables
+         */
+        getBoundingPolygon() {
+            const points = [];
+            const len = this.components.length;
+            for (let i = 0; i < len; i++) {
+                const polygon = getBoundingPolygonOf(this.components[i]);
+                if (polygon) {
+                    points.push(...polygon);
+                }
+            }
+            if (points.length === 0) {
+                return undefined;
+            }
+            const aabb = computeAABB(points);
+            return rectPolygon(aabb.xmin, aabb.ymin, aabb.xmax, aabb.ymax);
+        }
+    }
+
+/**
+ * PaintableWithAnimation
+ * Paints at the position interpolated between the last two updates if an
+ * interpolation alpha is given, see GameLoop.
+ */
+export class PaintableWithAnimation extends CompositeAnimationComponent {
+        constructor(paintable, xyPosition) {
+            super([paintable, xyPosition]);
+            this.paintable = paintable;
+            this.xyPosition = xyPosition;
+            this.previousX = undefined;
+            this.previousY = undefined;
+            //optional rotation, scale and opacity, see setTransform
+            this.transform = null;
+        }
+        
+        /**
+         * Rotates, scales and fades the paintable. Animated channels of the transform
+         * become components of this object, i.e. they are updated along with it.
+         * @param {Transform} transform
+         */
+        setTransform(transform) {
+            this.transform = transform;
+            transform.getAnimations().forEach((animation) => {
+                if (typeof animation.setClock === 'function') {
+                    animation.setClock(this.clock);
+                }
+                this.components.push(animation);
+            });
+            return this;
+        }
+        
+        getTransform() {
+            const x = this.getX();
+            const y = this.getY();
+            if (this.transform === null) {
+                return {x, y};
+            }
+            return this.transform.resolve(x, y, this.getWidth(), this.getHeight());
+        }
+        
+        getWidth() {
+            return typeof this.paintable.getWidth === 'function' ? this.paintable.getWidth() : 0;
+        }
+        
+        getHeight() {
+            return typeof this.paintable.getHeight === 'function' ? this.paintable.getHeight() : 0;
+        }
+        
+        init() {
+            this.previousX = undefined;
+            this.previousY = undefined;
+            return super.init();
+        }
+        
+        snapshot() {
+            this.previousX = this.xyPosition.getX();
+            this.previousY = this.xyPosition.getY();
+            super.snapshot();
+        }
+        
+        paint(ctx, alpha) {
+            let x = this.xyPosition.getX();
+            let y = this.xyPosition.getY();
+            if (alpha !== undefined && this.previousX !== undefined) {
+                x = this.previousX + (x - this.previousX) * alpha;
+                y = this.previousY + (y - this.previousY) * alpha;
+            }
+            if (this.transform === null || this.transform.isIdentity()) {
+                this.paintable.paint(ctx, x, y);
+                return;
+            }
+            const t = this.transform.resolve(x, y, this.getWidth(), this.getHeight());
+            ctx.save();
+            ctx.globalAlpha *= t.alpha;
+            ctx.translate(t.x + t.originX, t.y + t.originY);
+            ctx.rotate(t.rotation);
+            ctx.scale(t.scaleX, t.scaleY);
+            this.paintable.paint(ctx, -t.originX, -t.originY);
+            ctx.restore();
         }
         
-        resume() {
-            const len = this.components.length;
-            for (let i = 0; i < len; i++) {
-                if (typeof this.components[i].resume === 'function') {
-                    this.components[i].resume();
-                }
+        /**
+         * Screen polygon covered by the paintable, undefined if the paintable has no size
+         */
+        getBoundingPolygon() {
+            if (typeof this.paintable.getWidth !== 'function') {
+                return undefined;
             }
+            const width = this.getWidth();
+            const height = this.getHeight();
+            if (this.transform === null) {
+                const x = this.getX();
+                const y = this.getY();
+                return rectPolygon(x, y, x + width, y + height);
+            }
+            return transformPolygon(rectPolygon(0, 0, width, height), this.getTransform());
+        }
+        
+        getX() {
+            return this.xyPosition.getX();
+        }
+        
+        getY() {
+            return this.xyPosition.getY();
         }
     }
 
 /**
- * PaintableWithStateIndicator combines a Paintable with a StateIndicator
+ * Transform channels of a PaintableWithAnimation. Each channel is either a number
+ * or a value animation providing getValue(), e.g. ArcBaseAnmimation or a TweenAnimation.
+ * Rotation is in radians around the anchor, which is given as fraction of the paintable
+ * size (0.5, 0.5 is the center). Alpha multiplies the opacity of the paintable.
  */
-export class PaintableWithStateIndicator extends AnimationComponentDelegate {
-        constructor(paintable, objectStateIndicator) {
-            super(paintable);
-            this.paintable = paintable;
-            this.objectStateIndicator = objectStateIndicator;
+export class Transform {
+        constructor({rotation = 0, scaleX = 1, scaleY = 1, anchorX = 0.5, anchorY = 0.5, alpha = 1} = {}) {
+            this.rotation = rotation;
+            this.scaleX = scaleX;
+            this.scaleY = scaleY;
+            this.anchorX = anchorX;
+            this.anchorY = anchorY;
+            this.alpha = alpha;
         }
         
-        update(current) {
-            this.paintable.update(current);
-            return this.getState();
+        /**
+         * @returns {Array} - the channels driven by an animation that needs updates
+         */
+        getAnimations() {
+            return [this.rotation, this.scaleX, this.scaleY, this.anchorX, this.anchorY, this.alpha]
+                    .filter((channel, idx, channels) => typeof channel === 'object' &&
+                            typeof channel.update === 'function' && channels.indexOf(channel) === idx);
         }
         
-        paint(ctx) {
-            this.paintable.paint(ctx);
+        isIdentity() {
+            return this.rotation === 0 && this.scaleX === 1 && this.scaleY === 1 && this.alpha === 1;
         }
         
-        getState() {
-            if (this.objectStateIndicator && typeof this.objectStateIndicator.getState === 'function') {
-                return this.objectStateIndicator.getState();
-            } else {
-                return this.state;
-            }
+        /**
+         * Current channel values for a paintable at (x, y) with the given size, the
+         * fields match transformPolygon in boundingShape.js plus alpha.
+         */
+        resolve(x, y, width, height) {
+            return {
+                x,
+                y,
+                rotation: channelValue(this.rotation),
+                scaleX: channelValue(this.scaleX),
+                scaleY: channelValue(this.scaleY),
+                originX: channelValue(this.anchorX) * width,
+                originY: channelValue(this.anchorY) * height,
+                alpha: channelValue(this.alpha)
+            };
         }
     }
 
 /**
- * PaintableCombination combines two or more paintables (top level objects)
+ * SceneNode
+ * Paintable placed relative to its parent node by a position (any XY animation,
+ * origin if omitted) and a Transform. Children inherit the complete transformation
+ * of their parents - translation, rotation, scale and alpha - so satellites added to an
+ * asteroid node follow it wherever it moves or turns.
+ * The anchor of the transform (fraction of the paintable size) is the point placed at
+ * the position, the pivot for rotation and scale, and the origin of the children.
+ * Children with an order below 0 are painted behind their parent.
  */
-export class PaintableCombination extends CompositeAnimationComponent {
-        constructor(paintables) {
-            super(paintables);
+export class SceneNode extends CompositeAnimationComponent {
+        constructor(paintable, position, transform) {
+            super([]);
+            this.paintable = paintable || null;
+            this.position = position || null;
+            this.transform = transform || new Transform();
+            this.parent = null;
+            this.children = [];
+            this.previousX = undefined;
+            this.previousY = undefined;
+            [this.paintable, this.position].concat(this.transform.getAnimations()).forEach((component) => {
+                if (component !== null) {
+                    this.components.push(component);
+                }
+            });
         }
         
-        paint(ctx) {
-            const len = this.components.length;
-            for (let i = 0; i < len; i++) {
-                this.components[i].paint(ctx);
-            }
+        addChild(child) {
+            child.parent = this;
+            child.setClock(this.clock);
+            this.children.push(child);
+            this.children.sort(ManagedObject.sortComparator);
+            this.components.push(child);
+            return this;
         }
-    }
-
-/**
- * PaintableWithAnimation
- */
-export class PaintableWithAnimation extends CompositeAnimationComponent {
-        constructor(paintable, xyPosition) {
-            super([paintable, xyPosition]);
-            this.paintable = paintable;
-            this.xyPosition = xyPosition;
+        
+        getChildren() {
+            return this.children;
         }
         
-        paint(ctx) {
-            this.paintable.paint(ctx, this.xyPosition.getX(), this.xyPosition.getY());
+        init() {
+            this.previousX = undefined;
+            this.previousY = undefined;
+            return super.init();
+        }
+        
+        snapshot() {
+            this.previousX = this.getLocalX();
+            this.previousY = this.getLocalY();
+            super.snapshot();
+        }
+        
+        getLocalX() {
+            return this.position === null ? 0 : this.position.getX();
+        }
+        
+        getLocalY() {
+            return this.position === null ? 0 : this.position.getY();
+        }
+        
+        getWidth() {
+            return this.paintable !== null && typeof this.paintable.getWidth === 'function' ? this.paintable.getWidth() : 0;
+        }
+        
+        getHeight() {
+            return this.paintable !== null && typeof this.paintable.getHeight === 'function' ? this.paintable.getHeight() : 0;
+        }
+        
+        /**
+         * @returns {Object} - Matrix2D from the local coordinates of this node into the coordinates of the parent
+         */
+        getLocalMatrix() {
+            const t = this.transform.resolve(this.getLocalX(), this.getLocalY(), 0, 0);
+            return composeMatrix2D(t.x, t.y, t.rotation, t.scaleX, t.scaleY);
+        }
+        
+        /**
+         * @returns {Object} - Matrix2D from the local coordinates of this node into screen coordinates
+         */
+        getWorldMatrix() {
+            const local = this.getLocalMatrix();
+            return this.parent === null ? local : multiplyMatrix2D(this.parent.getWorldMatrix(), local);
         }
         
+        /**
+         * Screen position of the anchor
+         */
         getX() {
-            return this.xyPosition.getX();
+            return this.getWorldMatrix().e;
         }
         
         getY() {
-            return this.xyPosition.getY();
+            return this.getWorldMatrix().f;
+        }
+        
+        /**
+         * Transformation from paintable into screen coordinates, see transformPolygon.
+         * Skew caused by non uniform scaling of a rotated parent is not represented.
+         */
+        getTransform() {
+            const m = this.getWorldMatrix();
+            const originX = channelValue(this.transform.anchorX) * this.getWidth();
+            const originY = channelValue(this.transform.anchorY) * this.getHeight();
+            const scaleX = Math.hypot(m.a, m.b);
+            return {
+                x: m.e - originX,
+                y: m.f - originY,
+                rotation: Math.atan2(m.b, m.a),
+                scaleX,
+                scaleY: scaleX === 0 ? 0 : (m.a * m.d - m.b * m.c) / scaleX,
+                originX,
+                originY
+            };
+        }
+        
+        /**
+         * Screen polygon covered by the paintable of this node, children are not included
+         */
+        getBoundingPolygon() {
+            if (this.paintable === null || typeof this.paintable.getWidth !== 'function') {
+                return undefined;
+            }
+            const m = this.getWorldMatrix();
+            const left = -channelValue(this.transform.anchorX) * this.getWidth();
+            const top = -channelValue(this.transform.anchorY) * this.getHeight();
+            return rectPolygon(left, top, left + this.getWidth(), top + this.getHeight()).map((point) => applyMatrix2D(m, point));
+        }
+        
+        paint(ctx, alpha) {
+            let x = this.getLocalX();
+            let y = this.getLocalY();
+            if (alpha !== undefined && this.previousX !== undefined) {
+                x = this.previousX + (x - this.previousX) * alpha;
+                y = this.previousY + (y - this.previousY) * alpha;
+            }
+            const t = this.transform.resolve(x, y, this.getWidth(), this.getHeight());
+            //the canvas state stack passes the transformation on to the children
+            ctx.save();
+            ctx.globalAlpha *= t.alpha;
+            ctx.translate(t.x, t.y);
+            ctx.rotate(t.rotation);
+            ctx.scale(t.scaleX, t.scaleY);
+            const len = this.children.length;
+            let i = 0;
+            for (; i < len && this.children[i].getOrder() < 0; i++) {
+                this.children[i].paint(ctx, alpha);
+            }
+            if (this.paintable !== null) {
+                this.paintable.paint(ctx, -t.originX, -t.originY);
+            }
+            for (; i < len; i++) {
+                this.children[i].paint(ctx, alpha);
+            }
+            ctx.restore();
         }
     }
 
@@ -429,15 +1505,33 @@ export class XYCorrection extends AnimationComponent {
         }
         
         init() {
-            const self = this;
-            this.xyAnimation.init().setRoot(self);
+            this.xyAnimation.init();
+            this.setRoot(this);
             return this;
         }
         
+        /**
+         * Like composites, pass the root on, so events of the wrapped animation bubble to the top level object.
+         */
+        setRoot(parent) {
+            this.root = parent;
+            if (typeof this.xyAnimation.setRoot === 'function') {
+                this.xyAnimation.setRoot(parent);
+            }
+        }
+        
         update(current) {
+            if (isPaused(this.xyAnimation)) {
+                return this.getState();
+            }
             return this.xyAnimation.update(current);
         }
         
+        setClock(clock) {
+            this.clock = clock;
+            this.xyAnimation.setClock(clock);
+        }
+        
         getX() {
             return this.deltaX + this.xyAnimation.getX();
         }
@@ -456,8 +1550,20 @@ export class XYCorrection extends AnimationComponent {
             return this;
         }
         
+        pause() {
+            if (this.paused) {
+                return;
+            }
+            this.xyAnimation.pause();
+            super.pause();
+        }
+        
         resume() {
+            if (!this.paused) {
+                return;
+            }
             this.xyAnimation.resume();
+            super.resume();
         }
     }
 
@@ -468,15 +1574,37 @@ export class XYCorrection extends AnimationComponent {
  * Best use: Use any Unit Vector as "direction2D". To start with a position other
  * than (0,0) please combine it with a RelativeXYAnimation;
  * Intention: Use for controling objects with key strokes.
+ * Leaving "boundsRectangle2D" is handled according to "boundsMode" (see BOUNDS_MODE) and
+ * fires BOUNDS_REACHED with {source, edges, mode}, "edges" holds the DIRECTION bits of the edges crossed.
  */
 export class Vector2DAnimation extends AnimationComponent {
-        constructor(direction2D, pixelPerMs, boundsRectangle2D) {
+        constructor(direction2D, pixelPerMs, boundsRectangle2D, boundsMode = BOUNDS_MODE.CLAMP) {
             super();
             this.direction2D = direction2D;
             this.boundsRectangle2D = boundsRectangle2D;
+            this.boundsMode = boundsMode;
             this.pixelPerMs = pixelPerMs;
             this.x = 0;
             this.y = 0;
+            //DIRECTION bits of the edges reached with the last update
+            this.edges = 0;
+        }
+
+        init() {
+            this.x = 0;
+            this.y = 0;
+            this.edges = 0;
+            this.setState(STATE.UNKNOWN);
+            return super.init();
+        }
+
+        setBoundsMode(boundsMode) {
+            this.boundsMode = boundsMode;
+            return this;
+        }
+        
+        getEdges() {
+            return this.edges;
         }
         
         getX() {
@@ -497,20 +1625,80 @@ export class Vector2DAnimation extends AnimationComponent {
             //console.log(delta);
             this.x = this.x + this.direction2D.x * delta * this.pixelPerMs;
             this.y = this.y + this.direction2D.y * delta * this.pixelPerMs;
-            //
-            //think about emitting a bounds reached event?
-            if (this.x < this.boundsRectangle2D.xmin) {
-                this.x = this.boundsRectangle2D.xmin;
-            } else if (this.x > this.boundsRectangle2D.xmax) {
-                this.x = this.boundsRectangle2D.xmax;
-            }
-            if (this.y < this.boundsRectangle2D.ymin) {
-                this.y = this.boundsRectangle2D.ymin;
-            } else if (this.y > this.boundsRectangle2D.ymax) {
-                this.y = this.boundsRectangle2D.ymax;
+            const bounds = this.boundsRectangle2D;
+            let edges = 0;
+            if (this.x < bounds.xmin) {
+                edges |= DIRECTION.LEFT.bit;
+            } else if (this.x > bounds.xmax) {
+                edges |= DIRECTION.RIGHT.bit;
+            }
+            if (this.y < bounds.ymin) {
+                edges |= DIRECTION.UP.bit;
+            } else if (this.y > bounds.ymax) {
+                edges |= DIRECTION.DOWN.bit;
+            }
+            const newEdges = edges & ~this.edges;
+            this.edges = edges;
+            if (edges !== 0) {
+                this.handleBounds(edges);
+            }
+            //while clamped at an edge, only fire when another edge is reached
+            if (newEdges !== 0) {
+                this.fire(EVENT_TYPES.BOUNDS_REACHED, {source: this, edges, mode: this.boundsMode});
             }
             return this.getState();
         }
+        
+        handleBounds(edges) {
+            const bounds = this.boundsRectangle2D;
+            const width = bounds.xmax - bounds.xmin;
+            const height = bounds.ymax - bounds.ymin;
+            switch (this.boundsMode) {
+                case BOUNDS_MODE.WRAP:
+                    if (edges & DIRECTION.LEFT.bit) {
+                        this.x += width;
+                    } else if (edges & DIRECTION.RIGHT.bit) {
+                        this.x -= width;
+                    }
+                    if (edges & DIRECTION.UP.bit) {
+                        this.y += height;
+                    } else if (edges & DIRECTION.DOWN.bit) {
+                        this.y -= height;
+                    }
+                    //the position is inside again, the next pass over the edge is a new event
+                    this.edges = 0;
+                    break;
+                case BOUNDS_MODE.BOUNCE: {
+                    const horizontal = (edges & (DIRECTION.LEFT.bit | DIRECTION.RIGHT.bit)) !== 0;
+                    const vertical = (edges & (DIRECTION.UP.bit | DIRECTION.DOWN.bit)) !== 0;
+                    this.clamp();
+                    //new vector, the direction might be one of the shared UNIT_VECTORS_2D
+                    this.direction2D = Vector2D(
+                            horizontal ? -this.direction2D.x : this.direction2D.x,
+                            vertical ? -this.direction2D.y : this.direction2D.y);
+                    this.edges = 0;
+                    break;
+                }
+                case BOUNDS_MODE.KILL: {
+                    this.clamp();
+                    this.setState(STATE.INACTIVE_PENDING);
+                    //composites don't pass the state of their components on, so remove the top level object directly
+                    const root = this.getRoot() || this;
+                    if (root.objectManager && root.getState() !== STATE.UNMANAGED_PENDING && root.getState() !== STATE.UNMANAGED) {
+                        root.remove();
+                    }
+                    break;
+                }
+                default:
+                    this.clamp();
+            }
+        }
+        
+        clamp() {
+            const bounds = this.boundsRectangle2D;
+            this.x = Math.min(Math.max(this.x, bounds.xmin), bounds.xmax);
+            this.y = Math.min(Math.max(this.y, bounds.ymin), bounds.ymax);
+        }
     }
 
 /**
@@ -545,6 +1733,9 @@ export class XYAnimation extends CompositeAnimationComponent {
 
 /**
  * XYAnimationPath
+ * Moves along a sequence of XYAnimationPathParts. Each part starts where the previous
+ * one ended, time left over when a part stops is passed on to the next one.
+ * Fires ANIMATION_END after the last part and then stays at its end position.
  */
 export class XYAnimationPath extends AnimationComponent {
         constructor(startX, startY, animationParts) {
@@ -552,65 +1743,178 @@ export class XYAnimationPath extends AnimationComponent {
             this.startX = startX;
             this.startY = startY;
             this.animationParts = animationParts;
+            this.partIdx = 0;
             this.currentPart = null;
+            this.finished = false;
         }
         
         init() {
-            this.currentPart = this.animationParts.pop();
-            this.currentPart.setRoot(this.getRoot());
-            this.currentPart.init().setX(this.startX).setY(this.startY);
-            return this;
+            this.partIdx = 0;
+            this.finished = false;
+            this.currentPart = this.animationParts[0];
+            this.currentPart.start(this.startX, this.startY);
+            return super.init();
         }
         
         update(current) {
-            const retVal = this.currentPart.update(current);
-            if (retVal === PART_STATE.STOP) {
-                if (this.animationParts.length > 0) {
-                    this.init();
-                } else {
-                    this.fire(EVENT_TYPES.OFF_SCREEN, this);
+            if (!this.finished) {
+                let delta = current - this.lastUpdateTime;
+                while (this.currentPart.advance(delta) === PART_STATE.STOP) {
+                    if (this.partIdx + 1 >= this.animationParts.length) {
+                        this.finished = true;
+                        this.fire(EVENT_TYPES.ANIMATION_END, this);
+                        break;
+                    }
+                    delta = this.currentPart.getOverflow();
+                    const previous = this.currentPart;
+                    this.currentPart = this.animationParts[++this.partIdx];
+                    this.currentPart.start(previous.getX(), previous.getY());
                 }
             }
+            return super.update(current);
+        }
+        
+        isFinished() {
+            return this.finished;
         }
         
         getX() {
-            return this.currentPart.getValue();
+            return this.currentPart.getX();
         }
         
         getY() {
-            return this.currentPart.getValue();
+            return this.currentPart.getY();
         }
     }
 
+const linearProgress = (t) => t;
+
 /**
- * XYAnimationPathPart - TODO
+ * Base class of the parts of a XYAnimationPath. A part takes "duration" ms,
+ * "easing" maps the elapsed fraction of time to the fraction of the way done
+ * (e.g. one of EASING in tween.js, default: linear). Subclasses implement setProgress.
  */
 export class XYAnimationPathPart {
-        constructor() {
-            this.PART_STATE = {
-                CONTINUE: {},
-                STOP: {}
-            };
+        constructor(duration, easing) {
+            this.duration = duration;
+            this.easing = easing || linearProgress;
+            this.elapsed = 0;
+            this.startX = 0;
+            this.startY = 0;
+            this.x = 0;
+            this.y = 0;
         }
         
-        init() {
-            const self = this;
-            xAnimation.init();
-            yAnimation.init();
-            xAnimation.setRoot(self);
-            yAnimation.setRoot(self);
+        start(x, y) {
+            this.startX = x;
+            this.startY = y;
+            this.elapsed = 0;
+            this.setProgress(0);
             return this;
         }
         
-        update(current) {
+        /**
+         * @param {number} delta - ms elapsed since the last call
+         * @returns {Object} - PART_STATE.STOP once the part is done
+         */
+        advance(delta) {
+            this.elapsed += delta;
+            const t = this.duration > 0 ? Math.min(this.elapsed / this.duration, 1) : 1;
+            this.setProgress(this.easing(t));
+            return this.elapsed >= this.duration ? PART_STATE.STOP : PART_STATE.CONTINUE;
+        }
+        
+        /**
+         * @returns {number} - ms elapsed beyond the end of the part
+         */
+        getOverflow() {
+            return Math.max(0, this.elapsed - this.duration);
+        }
+        
+        /**
+         * @param {number} progress - 0 at the start, 1 at the end of the part
+         */
+        setProgress(progress) {
+            this.x = this.startX;
+            this.y = this.startY;
         }
         
         getX() {
-            return xAnimation.getValue();
+            return this.x;
         }
         
         getY() {
-            return yAnimation.getValue();
+            return this.y;
+        }
+    }
+
+/**
+ * Straight line by (dx, dy)
+ */
+export class LinePathPart extends XYAnimationPathPart {
+        constructor(dx, dy, duration, easing) {
+            super(duration, easing);
+            this.dx = dx;
+            this.dy = dy;
+        }
+        
+        setProgress(progress) {
+            this.x = this.startX + progress * this.dx;
+            this.y = this.startY + progress * this.dy;
+        }
+    }
+
+/**
+ * Arc of a circle with "radius", the start position lies at "startDeg" on the circle.
+ * Sweeps "sweepDeg" degrees, positive values run in the same direction as a CirclePathAnimation with direction 1.
+ */
+export class ArcPathPart extends XYAnimationPathPart {
+        constructor(radius, startDeg, sweepDeg, duration, easing) {
+            super(duration, easing);
+            const PI_PER_DEG = Math.PI / 180;
+            this.radius = radius;
+            this.startArc = startDeg * PI_PER_DEG;
+            this.sweepArc = sweepDeg * PI_PER_DEG;
+        }
+        
+        setProgress(progress) {
+            const arc = this.startArc + progress * this.sweepArc;
+            //center is chosen so that progress 0 is the start position
+            this.x = this.startX + this.radius * (Math.cos(arc) - Math.cos(this.startArc));
+            this.y = this.startY + this.radius * (Math.sin(arc) - Math.sin(this.startArc));
+        }
+    }
+
+/**
+ * Cubic bezier curve, control points and end point are relative to the start position.
+ */
+export class BezierPathPart extends XYAnimationPathPart {
+        constructor(c1x, c1y, c2x, c2y, dx, dy, duration, easing) {
+            super(duration, easing);
+            this.c1x = c1x;
+            this.c1y = c1y;
+            this.c2x = c2x;
+            this.c2y = c2y;
+            this.dx = dx;
+            this.dy = dy;
+        }
+        
+        setProgress(progress) {
+            const u = 1 - progress;
+            const b1 = 3 * u * u * progress;
+            const b2 = 3 * u * progress * progress;
+            const b3 = progress * progress * progress;
+            this.x = this.startX + b1 * this.c1x + b2 * this.c2x + b3 * this.dx;
+            this.y = this.startY + b1 * this.c1y + b2 * this.c2y + b3 * this.dy;
+        }
+    }
+
+/**
+ * Stays at the start position for "duration" ms.
+ */
+export class WaitPathPart extends XYAnimationPathPart {
+        constructor(duration) {
+            super(duration);
         }
     }
 
@@ -629,6 +1933,12 @@ export class OnOffIntervalls extends AnimationComponent {
             this.eachMsec = eachMsec;
         }
         
+        init() {
+            this.elapsed = 0;
+            this.on = false;
+            return super.init();
+        }
+        
         update(current) {
             this.elapsed += (current - this.lastUpdateTime);
             if (this.elapsed > this.eachMsec) {
@@ -660,6 +1970,12 @@ export class PosShake extends CompositeAnimationComponent {
             this.shakeValue = shakeValue;
         }
         
+        init() {
+            this.value = 0;
+            this.mult = 1;
+            return super.init();
+        }
+        
         update(current) {
             if (this.onOffControl.isOn()) {
                 this.mult = this.mult - 2 * this.mult;
@@ -703,7 +2019,8 @@ export class Accellerator extends AnimationComponent {
         }
         
         init() {
-            this.lastUpdateTime = performance.now();
+            this.currentSpeed = this.lowSpeed;
+            this.lastUpdateTime = this.clock.now();
             return this;
         }
         
@@ -713,6 +2030,7 @@ export class Accellerator extends AnimationComponent {
             if (this.currentSpeed > this.highSpeed) {
                 this.currentSpeed = this.highSpeed;
             }
+            return super.update(current);
         }
         
         getValue() {
@@ -728,13 +2046,19 @@ export class ArcBaseAnmimation extends AnimationComponent {
         constructor(startDeg, direction, degPerMs) {
             super();
             const PI_PER_DEG = Math.PI / 180;
+            this.startArc = startDeg * PI_PER_DEG;
             //current pos
-            this.currentArc = startDeg * PI_PER_DEG;
+            this.currentArc = this.startArc;
             //multiply direction in, so go forward or backward according to given parameter
             this.arcPerMs = direction * degPerMs * PI_PER_DEG;
             this.direction = direction;
         }
         
+        init() {
+            this.currentArc = this.startArc;
+            return super.init();
+        }
+        
         update(current) {
             const delta = current - this.lastUpdateTime;
             this.currentArc = (this.currentArc + delta * this.arcPerMs);
@@ -799,6 +2123,26 @@ export class CirclePathAnimation extends AnimationComponent {
             this.sin = new SinValue(radius, this.arcValueFct);
         }
         
+        init() {
+            this.arcValueFct.init();
+            return super.init();
+        }
+        
+        setClock(clock) {
+            this.clock = clock;
+            this.arcValueFct.setClock(clock);
+        }
+        
+        pause() {
+            this.arcValueFct.pause();
+            super.pause();
+        }
+        
+        resume() {
+            this.arcValueFct.resume();
+            super.resume();
+        }
+        
         update(current) {
             this.arcValueFct.update(current);
             return super.update(current);
@@ -828,7 +2172,7 @@ export class BouncingPathAnimation extends AnimationComponent {
         }
         
         init() {
-            this.lastUpdateTime = performance.now();
+            this.lastUpdateTime = this.clock.now();
             return this;
         }
         
@@ -864,7 +2208,8 @@ export class PathAnimation2 extends AnimationComponent {
         
         init() {
             this.currentPos = this.from;
-            this.lastUpdateTime = performance.now();
+            this.setState(STATE.UNKNOWN);
+            this.lastUpdateTime = this.clock.now();
             return this;
         }
         
@@ -908,19 +2253,24 @@ export class FixValueAnimation extends AnimationComponent {
 
 /**
  * SpriteDescriptor
+ * Describes the grid of a sprite sheet. "shapes" optionally holds the per-frame
+ * bounding shapes (SpriteShapes), see loadSpriteDescriptor in assets.js.
  */
 export class SpriteDescriptor {
-        constructor(img, sx, sy, gridWidth, noSprites) {
+        constructor(img, sx, sy, gridWidth, noSprites, shapes) {
             this.img = img;
             this.sx = sx;
             this.sy = sy;
             this.gridWidth = gridWidth;
             this.noSprites = noSprites;
+            this.shapes = shapes;
         }
     }
 
 /**
  * SpriteAnimation
+ * Fires FRAME_CHANGED whenever it moves on to another sprite and, if oneTime
+ * is set, ANIMATION_END after the last sprite.
  */
 export class SpriteAnimation extends AnimationComponent {
         constructor(spriteDescriptor, direction, oneTime, updateDelay, alpha) {
@@ -935,9 +2285,29 @@ export class SpriteAnimation extends AnimationComponent {
             this.updateDelay = updateDelay;
             this.alpha = alpha;
             this.direction = direction;
+            //optional value animation choosing the sprite instead of the timer, see setFrameSource
+            this.frameSource = null;
+        }
+        
+        init() {
+            this.currentPos = 0;
+            this.setState(STATE.UNKNOWN);
+            return super.init();
+        }
+        
+        /**
+         * Let a value animation, e.g. the frame track of a Timeline, choose the sprite.
+         * Its value is taken as frame index, the sprite doesn't advance by itself anymore.
+         */
+        setFrameSource(frameSource) {
+            this.frameSource = frameSource;
+            return this;
         }
         
         update(current) {
+            if (this.frameSource !== null) {
+                return;
+            }
             //reference shortcuts for better performance and shorter expressions
             const noSprites = this.spriteDescriptor.noSprites;
             //only update if updateDelay has benn exceeded. this allows for different
@@ -950,14 +2320,36 @@ export class SpriteAnimation extends AnimationComponent {
                     //console.log("Sprite: "+nosprites+"; "+this.currentPos+"; "+(direction)+"; "+delay+"; "+updateDelay);
                     if ((this.direction === 1 && this.currentPos >= noSprites) || (this.direction === -1 && this.currentPos <= 0)) {
                         if (this.getState() !== STATE.INACTIVE_PENDING) {
-                            this.fire(EVENT_TYPES.OFF_SCREEN, this);
+                            this.fire(EVENT_TYPES.ANIMATION_END, this);
                         }
                         this.setState(STATE.INACTIVE_PENDING);
                     }
                 }
                 this.currentPos = this.currentPos % noSprites;
                 this.lastUpdateTime = current;
+                this.fire(EVENT_TYPES.FRAME_CHANGED, this);
+            }
+        }
+        
+        getWidth() {
+            return this.spriteDescriptor.sx;
+        }
+        
+        getHeight() {
+            return this.spriteDescriptor.sy;
+        }
+        
+        /**
+         * Index of the sprite currently shown, i.e. the index into the sprite sheet
+         * and into any per-frame metadata like bounding shapes.
+         */
+        getFrameIndex() {
+            if (this.frameSource !== null) {
+                const noSprites = this.spriteDescriptor.noSprites;
+                return ((Math.floor(this.frameSource.getValue()) % noSprites) + noSprites) % noSprites;
             }
+            //compute idx based on animBase and direction - this allows for forward and backward animation
+            return this.animBase + this.direction * this.currentPos;
         }
         
         paint(ctx, px, py) {
@@ -965,12 +2357,11 @@ export class SpriteAnimation extends AnimationComponent {
             const spriteDesc = this.spriteDescriptor;
             const sx = spriteDesc.sx;
             const sy = spriteDesc.sy;
-            //compute idx based on animBase and direction - this allows for forward and backward animation
-            const idx = (this.animBase + this.direction * this.currentPos);
+            const idx = this.getFrameIndex();
             const y = Math.floor(idx / spriteDesc.gridWidth);
             const x = Math.floor(idx % spriteDesc.gridWidth);
             const currentAlpha = ctx.globalAlpha;
-            ctx.globalAlpha = this.alpha;
+            ctx.globalAlpha = currentAlpha * this.alpha;
             ctx.drawImage(spriteDesc.img, x * sx, y * sy, sx, sy, px, py, sx, sy);
             ctx.globalAlpha = currentAlpha;
         }
@@ -990,10 +2381,21 @@ export class ImgPainter extends AnimationComponent {
         paint(ctx, px, py) {
             ctx.drawImage(this.img, px, py, this.width, this.height);
         }
+        
+        getWidth() {
+            return this.width;
+        }
+        
+        getHeight() {
+            return this.height;
+        }
     }
 
 /**
  * CirclePainter
+ * Outline of a circle in "color", see painters.js for filled and styled shapes.
+ * Without a position the circle fills the 2 * radius square at the paint position,
+ * e.g. centered on the anchor of a SceneNode.
  */
 export class CirclePainter extends AnimationComponent {
         constructor(color, radius, position) {
@@ -1012,11 +2414,32 @@ export class CirclePainter extends AnimationComponent {
         
         paint(ctx, px, py) {
             ctx.beginPath();
-            ctx.arc(this.position.getX(), this.position.getY(), this.radius, 0, 2 * Math.PI, false);
+            if (this.position) {
+                ctx.arc(this.position.getX(), this.position.getY(), this.radius, 0, 2 * Math.PI, false);
+            } else {
+                ctx.arc(px + this.radius, py + this.radius, this.radius, 0, 2 * Math.PI, false);
+            }
             ctx.lineWidth = 1;
-            ctx.strokeStyle = '#FFFFFF';
+            ctx.strokeStyle = this.color;
             ctx.stroke();
         }
+        
+        getWidth() {
+            return 2 * this.radius;
+        }
+        
+        getHeight() {
+            return 2 * this.radius;
+        }
+        
+        getBoundingPolygon() {
+            if (!this.position) {
+                return undefined;
+            }
+            const x = this.position.getX();
+            const y = this.position.getY();
+            return rectPolygon(x - this.radius, y - this.radius, x + this.radius, y + this.radius);
+        }
     }
 
 /**
@@ -1032,6 +2455,7 @@ export class FPSRenderer extends AnimationComponent {
         }
         
         init() {
+            this.lastUpdateTime = this.clock.realNow();
             return this;
         }
         
@@ -1040,7 +2464,8 @@ export class FPSRenderer extends AnimationComponent {
         
         paint(ctx) {
             this.paints++;
-            const current = performance.now();
+            //frames per second are measured in wall clock time, not in (scaled) game time
+            const current = this.clock.realNow();
             const elapsed = current - this.lastUpdateTime;
             this.accumulatedDelay += elapsed;
             this.lastUpdateTime = current;
@@ -0,0 +1,159 @@
+/*
+ * Assets module - ES6 version
+ *
+ * Loads images and sprite sheets. Sprite sheets are described by the metadata
+ * files in img/meta, which are generated by the utils (see utils/README.md).
+ */
+import { SpriteDescriptor } from './animation.js';
+import { SpriteShapes } from './collision.js';
+
+/**
+ * @param {string} src - URL of the image
+ * @returns {Promise<Image>} - resolves once the image is completely loaded
+ */
+export const loadImage = (src) => {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Could not load image ' + src));
+        img.src = src;
+    });
+};
+
+/**
+ * @param {string} url - URL of the JSON file
+ * @returns {Promise<Object>} - the parsed content
+ */
+export const loadJSON = (url) => {
+    return fetch(url).then((response) => {
+        if (!response.ok) {
+            throw new Error('Could not load ' + url + ': ' + response.status);
+        }
+        return response.json();
+    });
+};
+
+/**
+ * Builds a SpriteDescriptor from a parsed metadata file and an already loaded image.
+ * @param {Object} meta - Content of a *-meta.json or *-convex-decomposition-meta.json file
+ * @param {Image} img - The sprite sheet named by meta.sourceImage
+ * @param {Object} options - Which bounding shapes to attach
+ * @param {string} options.algorithm - marchingSquares, convexHull or simplifiedConvexHull (default: marchingSquares),
+ *                                     ignored for convex decomposition metadata
+ * @param {string} options.accuracy - low, mid or high (default: mid)
+ * @returns {SpriteDescriptor}
+ */
+export const createSpriteDescriptor = (meta, img, options = {}) => {
+    const {algorithm = 'marchingSquares', accuracy = 'mid'} = options;
+    const shapes = new SpriteShapes().setFromMeta(meta, algorithm, accuracy);
+    return new SpriteDescriptor(img, meta.spriteWidth, meta.spriteHeight, meta.gridWidth, meta.numSprites, shapes);
+};
+
+/**
+ * Loads a metadata file and the sprite sheet image it names. The image is
+ * looked up relative to the parent directory of the metadata file, i.e.
+ * img/meta/asteroid1_72x72-meta.json loads img/asteroid1_72x72.png.
+ * @param {string} metaUrl - URL of the metadata file
+ * @param {Object} options - see createSpriteDescriptor
+ * @returns {Promise<SpriteDescriptor>}
+ */
+export const loadSpriteDescriptor = (metaUrl, options = {}) => {
+    const imageBase = metaUrl.substring(0, metaUrl.lastIndexOf('/') + 1) + '../';
+    return loadJSON(metaUrl).then((meta) => {
+        return loadImage(imageBase + meta.sourceImage).then((img) => createSpriteDescriptor(meta, img, options));
+    });
+};
+
+/**
+ * Rejection reason of AssetManager.load, lists every asset that failed.
+ */
+export class AssetLoadError extends Error {
+        constructor(failures) {
+            super('Could not load ' + failures.map((failure) => failure.entry.name + ' (' + failure.entry.src + ')').join(', '));
+            this.name = 'AssetLoadError';
+            //array of {entry, error}
+            this.failures = failures;
+        }
+    }
+
+/**
+ * Loads all assets of a manifest in parallel and keeps them by name.
+ * A manifest is an array of entries {name, type, src, options}, "type" selects
+ * the loader: image, json, sprite (metadata file, see loadSpriteDescriptor) or any
+ * type added with registerLoader, e.g. audio.
+ */
+export class AssetManager {
+        constructor() {
+            this.assets = new Map();
+            this.loaders = new Map([
+                ['image', (entry) => loadImage(entry.src)],
+                ['json', (entry) => loadJSON(entry.src)],
+                ['sprite', (entry) => loadSpriteDescriptor(entry.src, entry.options)]
+            ]);
+        }
+
+        /**
+         * @param {string} type - asset type used in manifest entries
+         * @param {Function} loader - (entry) => Promise of the asset
+         */
+        registerLoader(type, loader) {
+            this.loaders.set(type, loader);
+            return this;
+        }
+
+        /**
+         * @param {Array<{name: string, type: string, src: string, options: Object}>} manifest
+         * @param {Function} onProgress - (loaded, total, entry) called whenever an asset is done, successful or not
+         * @returns {Promise<AssetManager>} - rejects with an AssetLoadError if any asset failed
+         */
+        load(manifest, onProgress) {
+            const total = manifest.length;
+            let loaded = 0;
+            const failures = [];
+            const done = (entry) => {
+                loaded++;
+                if (onProgress) {
+                    onProgress(loaded, total, entry);
+                }
+            };
+            return Promise.all(manifest.map((entry) => {
+                const loader = this.loaders.get(entry.type);
+                const promise = loader ? loader(entry) : Promise.reject(new Error('Unknown asset type ' + entry.type));
+                return promise.then((asset) => {
+                    this.assets.set(entry.name, asset);
+                    done(entry);
+                }, (error) => {
+                    failures.push({entry, error});
+                    done(entry);
+                });
+            })).then(() => {
+                if (failures.length > 0) {
+                    throw new AssetLoadError(failures);
+                }
+                return this;
+            });
+        }
+
+        has(name) {
+            return this.assets.has(name);
+        }
+
+        get(name) {
+            if (!this.assets.has(name)) {
+                throw new Error('Asset ' + name + ' has not been loaded');
+            }
+            return this.assets.get(name);
+        }
+
+        /**
+         * @returns {string} - name under which the asset has been loaded, undefined if it is unknown
+         */
+        getName(asset) {
+            for (const [name, value] of this.assets) {
+                if (value === asset) {
+                    return name;
+                }
+            }
+            return undefined;
+        }
+    }
@@ -57,4 +57,40 @@ export const UNIT_VECTORS_2D = buildUnitVectors();
 // Log unit vectors for debugging
 for (let dir = 0; dir < 16; dir++) {
     console.log(UNIT_VECTORS_2D[dir]);
-}
\ No newline at end of file
+}
+
+/**
+ * 2D affine transformation in the order used by CanvasRenderingContext2D.transform:
+ * x' = a * x + c * y + e, y' = b * x + d * y + f
+ */
+export const Matrix2D = (a, b, c, d, e, f) => {
+    return { a, b, c, d, e, f };
+};
+
+export const IDENTITY_MATRIX2D = Matrix2D(1, 0, 0, 1, 0, 0);
+
+/**
+ * Translation by (x, y) after rotation (radians) and scale
+ */
+export const composeMatrix2D = (x, y, rotation, scaleX, scaleY) => {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return Matrix2D(cos * scaleX, sin * scaleX, -sin * scaleY, cos * scaleY, x, y);
+};
+
+/**
+ * @returns {Object} - m * n, i.e. n is applied first
+ */
+export const multiplyMatrix2D = (m, n) => {
+    return Matrix2D(
+            m.a * n.a + m.c * n.b,
+            m.b * n.a + m.d * n.b,
+            m.a * n.c + m.c * n.d,
+            m.b * n.c + m.d * n.d,
+            m.a * n.e + m.c * n.f + m.e,
+            m.b * n.e + m.d * n.f + m.f);
+};
+
+export const applyMatrix2D = (m, point) => {
+    return Vector2D(m.a * point.x + m.c * point.y + m.e, m.b * point.x + m.d * point.y + m.f);
+};
@@ -1109,3 +1109,218 @@ export function computeAABB(polygon) {
     
     return { xmin, ymin, xmax, ymax };
 }
+
+/**
+ * Check if a point lies inside a polygon (even-odd rule, works for concave polygons)
+ * @param {{x: number, y: number}} point - Point to test
+ * @param {Array<{x: number, y: number}>} polygon - Polygon points
+ * @returns {boolean} - True if the point is inside the polygon
+ */
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const pi = polygon[i];
+        const pj = polygon[j];
+        if (((pi.y > point.y) !== (pj.y > point.y)) &&
+            (point.x < (pj.x - pi.x) * (point.y - pi.y) / (pj.y - pi.y) + pi.x)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check if two AABBs overlap
+ * @param {{xmin: number, ymin: number, xmax: number, ymax: number}} a - First AABB
+ * @param {{xmin: number, ymin: number, xmax: number, ymax: number}} b - Second AABB
+ * @returns {boolean} - True if the boxes overlap
+ */
+export function aabbOverlap(a, b) {
+    return a.xmin <= b.xmax && a.xmax >= b.xmin && a.ymin <= b.ymax && a.ymax >= b.ymin;
+}
+
+/**
+ * Check if two polygons intersect. Works for concave polygons as well:
+ * they intersect if any pair of edges crosses or one contains the other.
+ * @param {Array<{x: number, y: number}>} polygonA - First polygon
+ * @param {Array<{x: number, y: number}>} polygonB - Second polygon
+ * @returns {boolean} - True if the polygons intersect
+ */
+export function polygonsIntersect(polygonA, polygonB) {
+    if (polygonA.length === 0 || polygonB.length === 0) {
+        return false;
+    }
+    if (!aabbOverlap(computeAABB(polygonA), computeAABB(polygonB))) {
+        return false;
+    }
+    for (let i = 0; i < polygonA.length; i++) {
+        const a1 = polygonA[i];
+        const a2 = at(polygonA, i + 1);
+        for (let j = 0; j < polygonB.length; j++) {
+            if (segmentsIntersect(a1, a2, polygonB[j], at(polygonB, j + 1))) {
+                return true;
+            }
+        }
+    }
+    return pointInPolygon(polygonA[0], polygonB) || pointInPolygon(polygonB[0], polygonA);
+}
+
+/**
+ * Transform a polygon from sprite local coordinates into world coordinates.
+ * Scale and rotation are applied around (originX, originY), then the polygon is translated by (x, y).
+ * @param {Array<{x: number, y: number}>} polygon - Polygon points
+ * @param {Object} transform - Transformation to apply
+ * @param {number} transform.x - Translation along x (default: 0)
+ * @param {number} transform.y - Translation along y (default: 0)
+ * @param {number} transform.rotation - Rotation in radians (default: 0)
+ * @param {number} transform.scaleX - Scale along x (default: 1)
+ * @param {number} transform.scaleY - Scale along y (default: 1)
+ * @param {number} transform.originX - Pivot x in local coordinates (default: 0)
+ * @param {number} transform.originY - Pivot y in local coordinates (default: 0)
+ * @returns {Array<{x: number, y: number}>} - Transformed polygon points
+ */
+export function transformPolygon(polygon, transform = {}) {
+    const {x = 0, y = 0, rotation = 0, scaleX = 1, scaleY = 1, originX = 0, originY = 0} = transform;
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return polygon.map(p => {
+        const lx = (p.x - originX) * scaleX;
+        const ly = (p.y - originY) * scaleY;
+        return {
+            x: lx * cos - ly * sin + originX + x,
+            y: lx * sin + ly * cos + originY + y
+        };
+    });
+}
+
+/**
+ * Helper: Project a polygon onto an axis
+ */
+function projectPolygon(polygon, axis) {
+    let min = polygon[0].x * axis.x + polygon[0].y * axis.y;
+    let max = min;
+    for (let i = 1; i < polygon.length; i++) {
+        const d = polygon[i].x * axis.x + polygon[i].y * axis.y;
+        if (d < min) min = d;
+        if (d > max) max = d;
+    }
+    return { min, max };
+}
+
+// Penetration depths up to this count as touching, not as overlap
+const SAT_EPSILON = 1e-9;
+
+/**
+ * Separating Axis Theorem test for two convex polygons in the same coordinate system
+ * @param {Array<{x: number, y: number}>} polygonA - First convex polygon
+ * @param {Array<{x: number, y: number}>} polygonB - Second convex polygon
+ * @returns {{overlap: boolean, depth: number, normal: {x: number, y: number}}} - On overlap,
+ *          normal is the unit axis of least penetration pointing from A towards B.
+ *          Polygons just touching (depth up to SAT_EPSILON) don't overlap.
+ */
+export function satConvexPolygons(polygonA, polygonB) {
+    const result = { overlap: false, depth: 0, normal: { x: 0, y: 0 } };
+    if (polygonA.length === 0 || polygonB.length === 0) {
+        return result;
+    }
+    let minDepth = Infinity;
+    let minAxis = null;
+    const polygons = [polygonA, polygonB];
+    for (let p = 0; p < 2; p++) {
+        const polygon = polygons[p];
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = at(polygon, i + 1);
+            const length = Math.sqrt(sqdist(a, b));
+            if (length === 0) continue;
+            // Edge normal, direction does not matter for the projection
+            const axis = { x: -(b.y - a.y) / length, y: (b.x - a.x) / length };
+            const projA = projectPolygon(polygonA, axis);
+            const projB = projectPolygon(polygonB, axis);
+            // Distance A has to move backwards resp. forwards along the axis to get clear of B.
+            // The smaller one is the depth, also when one projection contains the other.
+            const backwards = projA.max - projB.min;
+            const forwards = projB.max - projA.min;
+            if (backwards <= SAT_EPSILON || forwards <= SAT_EPSILON) {
+                return result;
+            }
+            const depth = Math.min(backwards, forwards);
+            if (depth < minDepth) {
+                minDepth = depth;
+                // Normal from A towards B, A moves against it
+                minAxis = backwards <= forwards ? axis : { x: -axis.x, y: -axis.y };
+            }
+        }
+    }
+    if (minAxis === null) {
+        return result;
+    }
+    result.overlap = true;
+    result.depth = minDepth;
+    result.normal = minAxis;
+    return result;
+}
+
+/**
+ * Narrow phase collision test for two sets of convex polygons, e.g. the output of
+ * computeOptimizedConvexDecomposition or a single convexHull wrapped in an array.
+ * Each set is placed into the world with its own transform (see transformPolygon).
+ * @param {Array<Array<{x: number, y: number}>>} polygonsA - Convex polygons of the first shape
+ * @param {Object} transformA - Transformation of the first shape
+ * @param {Array<Array<{x: number, y: number}>>} polygonsB - Convex polygons of the second shape
+ * @param {Object} transformB - Transformation of the second shape
+ * @returns {{overlap: boolean, depth: number, normal: {x: number, y: number}, mtv: {x: number, y: number}, resolved: boolean}} -
+ *          depth and normal belong to the deepest overlapping pair of parts, normal points from A towards B.
+ *          mtv moves A out of all parts of B: A is pushed out of the deepest pair, then tested again
+ *          at the new position until no pair overlaps any more (the sum is not necessarily minimal).
+ *          The pushes are limited, resolved is false if A still overlaps B after moving it by mtv.
+ */
+export function satCollide(polygonsA, transformA, polygonsB, transformB) {
+    const result = { overlap: false, depth: 0, normal: { x: 0, y: 0 }, mtv: { x: 0, y: 0 }, resolved: true };
+    const worldA = polygonsA.map(polygon => transformPolygon(polygon, transformA));
+    const worldB = polygonsB.map(polygon => transformPolygon(polygon, transformB));
+    const boxesB = worldB.map(polygon => computeAABB(polygon));
+    const deepest = deepestPair(worldA, worldB, boxesB);
+    if (!deepest.overlap) {
+        return result;
+    }
+    result.overlap = true;
+    result.depth = deepest.depth;
+    result.normal = deepest.normal;
+    // Each push moves A out of one pair, it may still overlap other parts of B
+    let pair = deepest;
+    let shifted = worldA;
+    const maxPushes = worldA.length * worldB.length;
+    for (let push = 0; push < maxPushes && pair.overlap; push++) {
+        result.mtv = {
+            x: result.mtv.x - pair.normal.x * pair.depth,
+            y: result.mtv.y - pair.normal.y * pair.depth
+        };
+        const offset = result.mtv;
+        shifted = worldA.map(polygon => polygon.map(p => ({ x: p.x + offset.x, y: p.y + offset.y })));
+        pair = deepestPair(shifted, worldB, boxesB);
+    }
+    // pair holds the test at the final position
+    result.resolved = !pair.overlap;
+    return result;
+}
+
+/**
+ * Helper: SAT result of the deepest overlapping pair of parts
+ */
+function deepestPair(worldA, worldB, boxesB) {
+    const result = { overlap: false, depth: 0, normal: { x: 0, y: 0 } };
+    for (let i = 0; i < worldA.length; i++) {
+        const boxA = computeAABB(worldA[i]);
+        for (let j = 0; j < worldB.length; j++) {
+            if (!aabbOverlap(boxA, boxesB[j])) continue;
+            const pair = satConvexPolygons(worldA[i], worldB[j]);
+            if (pair.overlap && pair.depth >= result.depth) {
+                result.overlap = true;
+                result.depth = pair.depth;
+                result.normal = pair.normal;
+            }
+        }
+    }
+    return result;
+}
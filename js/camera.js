@@ -0,0 +1,235 @@
+/*
+ * Camera module - ES6 version
+ *
+ * A view onto a world that may be larger than the canvas. The ObjectManager
+ * applies the camera to every layer that isn't fixed (see Layer), so the
+ * objects keep painting in world coordinates.
+ */
+import { AnimationComponent } from './animation.js';
+import { Rectangle2D, Vector2D } from './base.js';
+
+const clamp = (value, min, max) => {
+    //a world smaller than the view stays centered
+    return min > max ? (min + max) / 2 : Math.min(Math.max(value, min), max);
+};
+
+/**
+ * Center of a target providing getX/getY, the top left corner of a paintable
+ * with getWidth/getHeight.
+ */
+const centerOf = (target) => {
+    const width = typeof target.getWidth === 'function' ? target.getWidth() : 0;
+    const height = typeof target.getHeight === 'function' ? target.getHeight() : 0;
+    return Vector2D(target.getX() + width / 2, target.getY() + height / 2);
+};
+
+/**
+ * Follows a target, zooms around the center of the view and shakes.
+ * The position is the world point shown in the center of the view. Without
+ * moves and zoom the camera shows the world exactly like the bare canvas does.
+ *
+ * Shake is driven by "trauma" in [0, 1], added by addTrauma (e.g. on hits) and
+ * decaying over time. The offsets grow with trauma squared, so small hits
+ * barely move the view while large ones shake it hard. Unlike PosShake it
+ * rotates the view as well and calms down by itself.
+ */
+export class Camera extends AnimationComponent {
+        /**
+         * @param {number} viewWidth - size of the canvas area the camera paints into
+         * @param {number} viewHeight
+         * @param {Object} options
+         * @param {number} options.zoom - 2 shows everything twice as large (default: 1)
+         * @param {Rectangle2D} options.bounds - the view doesn't leave these world bounds (default: none)
+         * @param {number} options.smoothing - time constant in ms of the follow movement, 0 snaps to the target (default: 0)
+         * @param {number} options.maxShake - offset in pixels at full trauma (default: 20)
+         * @param {number} options.maxShakeAngle - rotation in radians at full trauma (default: 0.05)
+         * @param {number} options.traumaDecay - trauma lost per ms (default: 0.001)
+         */
+        constructor(viewWidth, viewHeight, options = {}) {
+            super();
+            this.viewWidth = viewWidth;
+            this.viewHeight = viewHeight;
+            this.zoom = options.zoom || 1;
+            this.bounds = options.bounds || null;
+            this.smoothing = options.smoothing || 0;
+            this.maxShake = options.maxShake === undefined ? 20 : options.maxShake;
+            this.maxShakeAngle = options.maxShakeAngle === undefined ? 0.05 : options.maxShakeAngle;
+            this.traumaDecay = options.traumaDecay === undefined ? 0.001 : options.traumaDecay;
+            this.x = viewWidth / 2;
+            this.y = viewHeight / 2;
+            this.previousX = undefined;
+            this.previousY = undefined;
+            this.target = null;
+            //the target may move within this area around the center without moving the camera
+            this.deadZone = {width: 0, height: 0};
+            this.trauma = 0;
+            this.shake = {x: 0, y: 0, angle: 0};
+        }
+
+        /**
+         * @param {Object} target - provides getX/getY, null to stop following
+         * @param {{width: number, height: number}} deadZone - optional, see deadZone
+         */
+        follow(target, deadZone) {
+            this.target = target;
+            if (deadZone) {
+                this.deadZone = deadZone;
+            }
+            return this;
+        }
+
+        setPosition(x, y) {
+            this.x = x;
+            this.y = y;
+            this.clampToBounds();
+            return this;
+        }
+
+        getX() {
+            return this.x;
+        }
+
+        getY() {
+            return this.y;
+        }
+
+        setZoom(zoom) {
+            this.zoom = zoom;
+            this.clampToBounds();
+            return this;
+        }
+
+        getZoom() {
+            return this.zoom;
+        }
+
+        setBounds(bounds) {
+            this.bounds = bounds;
+            this.clampToBounds();
+            return this;
+        }
+
+        setSmoothing(smoothing) {
+            this.smoothing = smoothing;
+            return this;
+        }
+
+        /**
+         * @param {number} amount - added to the trauma, which is limited to 1
+         */
+        addTrauma(amount) {
+            this.trauma = Math.min(1, this.trauma + amount);
+            return this;
+        }
+
+        getTrauma() {
+            return this.trauma;
+        }
+
+        init() {
+            this.previousX = undefined;
+            this.previousY = undefined;
+            if (this.target) {
+                const center = centerOf(this.target);
+                this.setPosition(center.x, center.y);
+            }
+            return super.init();
+        }
+
+        snapshot() {
+            this.previousX = this.x;
+            this.previousY = this.y;
+        }
+
+        update(current) {
+            const delta = current - this.lastUpdateTime;
+            if (this.target) {
+                this.moveTowards(centerOf(this.target), delta);
+            }
+            this.clampToBounds();
+            if (delta > 0) {
+                this.trauma = Math.max(0, this.trauma - this.traumaDecay * delta);
+                const strength = this.trauma * this.trauma;
+                this.shake.x = this.maxShake * strength * (2 * Math.random() - 1);
+                this.shake.y = this.maxShake * strength * (2 * Math.random() - 1);
+                this.shake.angle = this.maxShakeAngle * strength * (2 * Math.random() - 1);
+            }
+            return super.update(current);
+        }
+
+        moveTowards(center, delta) {
+            const halfWidth = this.deadZone.width / 2;
+            const halfHeight = this.deadZone.height / 2;
+            //the closest position which has the target within the dead zone
+            let x = this.x;
+            let y = this.y;
+            if (center.x < x - halfWidth) {
+                x = center.x + halfWidth;
+            } else if (center.x > x + halfWidth) {
+                x = center.x - halfWidth;
+            }
+            if (center.y < y - halfHeight) {
+                y = center.y + halfHeight;
+            } else if (center.y > y + halfHeight) {
+                y = center.y - halfHeight;
+            }
+            const t = this.smoothing > 0 ? 1 - Math.exp(-delta / this.smoothing) : 1;
+            this.x += (x - this.x) * t;
+            this.y += (y - this.y) * t;
+        }
+
+        clampToBounds() {
+            if (!this.bounds) {
+                return;
+            }
+            const halfWidth = this.viewWidth / (2 * this.zoom);
+            const halfHeight = this.viewHeight / (2 * this.zoom);
+            this.x = clamp(this.x, this.bounds.xmin + halfWidth, this.bounds.xmax - halfWidth);
+            this.y = clamp(this.y, this.bounds.ymin + halfHeight, this.bounds.ymax - halfHeight);
+        }
+
+        /**
+         * Transforms the context from world to view coordinates, see Layer.paint.
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {number} parallax - 1 follows the camera, smaller values move slower (e.g. distant backgrounds), 0 not at all
+         * @param {number} alpha - interpolation between the last two updates, see GameLoop
+         */
+        apply(ctx, parallax = 1, alpha) {
+            let x = this.x;
+            let y = this.y;
+            if (alpha !== undefined && this.previousX !== undefined) {
+                x = this.previousX + (x - this.previousX) * alpha;
+                y = this.previousY + (y - this.previousY) * alpha;
+            }
+            const centerX = this.viewWidth / 2;
+            const centerY = this.viewHeight / 2;
+            ctx.translate(centerX + this.shake.x, centerY + this.shake.y);
+            ctx.rotate(this.shake.angle);
+            ctx.scale(this.zoom, this.zoom);
+            ctx.translate(-centerX - (x - centerX) * parallax, -centerY - (y - centerY) * parallax);
+        }
+
+        /**
+         * @param {number} parallax - of the layer, see apply (default: 1)
+         * @returns {Rectangle2D} - the world area within the view, without shake
+         */
+        getViewRect(parallax = 1) {
+            const halfWidth = this.viewWidth / (2 * this.zoom);
+            const halfHeight = this.viewHeight / (2 * this.zoom);
+            const x = this.viewWidth / 2 + (this.x - this.viewWidth / 2) * parallax;
+            const y = this.viewHeight / 2 + (this.y - this.viewHeight / 2) * parallax;
+            return Rectangle2D(x - halfWidth, y - halfHeight, x + halfWidth, y + halfHeight);
+        }
+
+        worldToScreen(x, y) {
+            return Vector2D(
+                    (x - this.x) * this.zoom + this.viewWidth / 2,
+                    (y - this.y) * this.zoom + this.viewHeight / 2);
+        }
+
+        screenToWorld(x, y) {
+            return Vector2D(
+                    (x - this.viewWidth / 2) / this.zoom + this.x,
+                    (y - this.viewHeight / 2) / this.zoom + this.y);
+        }
+    }
@@ -0,0 +1,98 @@
+/*
+ * Clock module - ES6 version
+ *
+ * Game time as seen by the AnimationComponents. The clock of an ObjectManager
+ * only moves when it is stepped (GameLoop does that once per simulation step),
+ * so all components see the same time within a step and tests can drive it by hand.
+ */
+
+export class Clock {
+        /**
+         * @param {number} startTime - initial game time in ms (default: 0)
+         * @param {Function} realTimeSource - wall clock in ms, used for measurements that
+         *                                    must not be scaled like frames per second
+         */
+        constructor(startTime = 0, realTimeSource = () => performance.now()) {
+            this.time = startTime;
+            this.realTimeSource = realTimeSource;
+            this.scale = 1;
+            this.paused = false;
+        }
+
+        /**
+         * @returns {number} - current game time in ms
+         */
+        now() {
+            return this.time;
+        }
+
+        /**
+         * @returns {number} - current wall clock time in ms
+         */
+        realNow() {
+            return this.realTimeSource();
+        }
+
+        /**
+         * Advances game time by ms, regardless of scale and pause state.
+         * @returns {number} - the new game time
+         */
+        step(ms) {
+            this.time += ms;
+            return this.time;
+        }
+
+        /**
+         * Converts elapsed wall clock time into the game time that should pass for it:
+         * scaled, and none at all while paused.
+         */
+        toGameTime(realMs) {
+            return this.paused ? 0 : realMs * this.scale;
+        }
+
+        /**
+         * @param {number} scale - 1 is normal speed, 0.25 slow motion, 2 double speed
+         */
+        setScale(scale) {
+            this.scale = scale;
+            return this;
+        }
+
+        getScale() {
+            return this.scale;
+        }
+
+        pause() {
+            this.paused = true;
+            return this;
+        }
+
+        resume() {
+            this.paused = false;
+            return this;
+        }
+
+        isPaused() {
+            return this.paused;
+        }
+    }
+
+/**
+ * Clock which always shows the wall clock time, it can't be scaled, paused or stepped.
+ * Used by components that are not (yet) managed by an ObjectManager.
+ */
+export class RealTimeClock extends Clock {
+        now() {
+            return this.realNow();
+        }
+
+        step(ms) {
+            return this.realNow();
+        }
+
+        toGameTime(realMs) {
+            return realMs;
+        }
+    }
+
+export const SYSTEM_CLOCK = new RealTimeClock();
@@ -0,0 +1,272 @@
+/*
+ * Collision module - ES6 version
+ *
+ * Runtime collision detection driven by the bounding shape metadata
+ * generated into img/meta (see utils/README.md).
+ */
+import { EVENT_TYPES, ObjectListenerSupport, STATE } from './animation.js';
+import { polygonsIntersect, satCollide, transformPolygon } from './boundingShape.js';
+
+export const COLLISION_GROUP = {
+    SHIP: 'ship',
+    ASTEROID: 'asteroid'
+};
+
+//algorithms whose polygons are guaranteed to be convex and can be tested with SAT
+const CONVEX_ALGORITHMS = ['convexHull', 'simplifiedConvexHull', 'convexDecomposition'];
+
+/**
+ * Per-frame bounding polygons of one sprite sheet. Each frame holds a list of
+ * polygons, so single polygon and convex decomposition metadata look the same.
+ */
+export class SpriteShapes {
+        constructor(frames, convex) {
+            this.frames = frames || [];
+            this.convex = convex === true;
+        }
+
+        isLoaded() {
+            return this.frames.length > 0;
+        }
+
+        getPolygons(frameIdx) {
+            if (this.frames.length === 0) {
+                return [];
+            }
+            return this.frames[frameIdx % this.frames.length];
+        }
+
+        /**
+         * Reads the frames of a parsed metadata file.
+         * @param {Object} meta - Content of a *-meta.json or *-convex-decomposition-meta.json file
+         * @param {string} algorithm - marchingSquares, convexHull or simplifiedConvexHull (ignored for convex decomposition)
+         * @param {string} accuracy - low, mid or high
+         */
+        setFromMeta(meta, algorithm, accuracy) {
+            if (meta.accuracyLevels) {
+                this.frames = meta.accuracyLevels[accuracy].map((sprite) => sprite.convexPolygons);
+                this.convex = true;
+            } else {
+                this.frames = meta.algorithms[algorithm][accuracy].map((sprite) => [sprite.boundingShape]);
+                this.convex = CONVEX_ALGORITHMS.indexOf(algorithm) >= 0;
+            }
+            return this;
+        }
+    }
+
+let colliderCounter = 0;
+
+/**
+ * Ties the bounding polygons of a SpriteShapes to a PaintableWithAnimation.
+ * The current frame is taken from the paintable (SpriteAnimation.getFrameIndex),
+ * paintables without frames like ImgPainter always use frame 0.
+ * If no shapes are given, the ones attached to the SpriteDescriptor of the paintable are used.
+ */
+export class Collider {
+        constructor(target, shapes, group) {
+            this.id = colliderCounter++;
+            this.target = target;
+            this.shapes = shapes || target.paintable.spriteDescriptor.shapes;
+            this.group = group;
+        }
+
+        getFrameIndex() {
+            const paintable = this.target.paintable;
+            if (paintable && typeof paintable.getFrameIndex === 'function') {
+                return paintable.getFrameIndex();
+            }
+            return 0;
+        }
+
+        /**
+         * @returns {Array<Array<{x: number, y: number}>>} - polygons in sprite coordinates
+         */
+        getLocalPolygons() {
+            return this.shapes.getPolygons(this.getFrameIndex());
+        }
+
+        /**
+         * @returns {Object} - transformation from sprite into screen coordinates, see transformPolygon
+         */
+        getTransform() {
+            if (typeof this.target.getTransform === 'function') {
+                return this.target.getTransform();
+            }
+            return {x: this.target.getX(), y: this.target.getY()};
+        }
+
+        /**
+         * @returns {Array<Array<{x: number, y: number}>>} - polygons in screen coordinates
+         */
+        getPolygons() {
+            const transform = this.getTransform();
+            return this.getLocalPolygons().map((polygon) => transformPolygon(polygon, transform));
+        }
+
+        /**
+         * A collider is alive as long as the top level object of its target is managed.
+         */
+        isAlive() {
+            const root = this.target.getRoot() || this.target;
+            const state = root.getState();
+            return state !== STATE.UNMANAGED_PENDING && state !== STATE.UNMANAGED;
+        }
+    }
+
+const NO_CONTACT = {overlap: false, depth: 0, normal: {x: 0, y: 0}, mtv: {x: 0, y: 0}, resolved: false};
+
+/**
+ * Narrow phase for two colliders. Convex shapes use SAT and deliver a minimum
+ * translation vector, concave ones (marchingSquares) only report the overlap.
+ */
+const collide = (a, b) => {
+    if (a.shapes.convex && b.shapes.convex) {
+        return satCollide(a.getLocalPolygons(), a.getTransform(), b.getLocalPolygons(), b.getTransform());
+    }
+    const polygonsA = a.getPolygons();
+    const polygonsB = b.getPolygons();
+    for (let i = 0; i < polygonsA.length; i++) {
+        for (let j = 0; j < polygonsB.length; j++) {
+            if (polygonsIntersect(polygonsA[i], polygonsB[j])) {
+                return Object.assign({}, NO_CONTACT, {overlap: true});
+            }
+        }
+    }
+    return NO_CONTACT;
+};
+
+/**
+ * Checks all colliders against each other according to the group rules added
+ * with addRule and fires EVENT_TYPES.COLLISION with {a, b, depth, normal, mtv, resolved} when a
+ * contact begins. "a" and "b" are the Colliders, "a" always belongs to the first group
+ * of the matching rule. normal points from a towards b, mtv moves a out of b unless
+ * resolved is false (concave shapes or a push out of B that did not succeed, see satCollide).
+ */
+export class CollisionSystem extends ObjectListenerSupport {
+        constructor() {
+            super();
+            this.colliders = [];
+            this.rules = [];
+            //keys of pairs that have been in contact during the last detect
+            this.contacts = new Set();
+            this.broadPhase = null;
+        }
+
+        addRule(groupA, groupB) {
+            this.rules.push({groupA, groupB});
+            return this;
+        }
+
+        /**
+         * Colliders are dropped once their object has been removed, pooled objects add theirs again when they are reused.
+         * A reused collider starts without contacts, so touching something right away fires COLLISION.
+         */
+        add(collider) {
+            if (this.colliders.indexOf(collider) < 0) {
+                this.colliders.push(collider);
+            }
+            this.forgetContacts(collider);
+            return collider;
+        }
+
+        remove(collider) {
+            const idx = this.colliders.indexOf(collider);
+            if (idx >= 0) {
+                this.colliders.splice(idx, 1);
+            }
+            this.forgetContacts(collider);
+        }
+
+        forgetContacts(collider) {
+            const id = String(collider.id);
+            this.contacts.forEach((key) => {
+                const ids = key.split(':');
+                if (ids[0] === id || ids[1] === id) {
+                    this.contacts.delete(key);
+                }
+            });
+        }
+
+        getColliders() {
+            return this.colliders;
+        }
+
+        /**
+         * Use the candidate pairs of an ObjectManager (see ObjectManager.setSpatialIndex)
+         * instead of testing every collider against every other one.
+         */
+        setBroadPhase(objectManager) {
+            this.broadPhase = objectManager;
+            return this;
+        }
+
+        /**
+         * Run once per frame after all objects have been updated.
+         */
+        detect() {
+            this.colliders = this.colliders.filter((collider) => collider.isAlive());
+            const contacts = new Set();
+            if (this.broadPhase) {
+                //colliders grouped by the top level object the broad phase knows about
+                const byRoot = new Map();
+                this.colliders.forEach((collider) => {
+                    const root = collider.target.getRoot() || collider.target;
+                    if (!byRoot.has(root)) {
+                        byRoot.set(root, []);
+                    }
+                    byRoot.get(root).push(collider);
+                });
+                this.broadPhase.getCandidatePairs().forEach((pair) => {
+                    const collidersA = byRoot.get(pair[0]);
+                    const collidersB = byRoot.get(pair[1]);
+                    if (collidersA && collidersB) {
+                        collidersA.forEach((a) => {
+                            collidersB.forEach((b) => {
+                                this.test(a, b, contacts);
+                            });
+                        });
+                    }
+                });
+            } else {
+                const len = this.colliders.length;
+                for (let i = 0; i < len; i++) {
+                    for (let j = i + 1; j < len; j++) {
+                        this.test(this.colliders[i], this.colliders[j], contacts);
+                    }
+                }
+            }
+            this.contacts = contacts;
+        }
+
+        test(a, b, contacts) {
+            const rule = this.findRule(a, b);
+            if (rule === null) {
+                return;
+            }
+            if (a.group !== rule.groupA) {
+                [a, b] = [b, a];
+            }
+            const contact = collide(a, b);
+            if (contact.overlap) {
+                const key = a.id + ':' + b.id;
+                contacts.add(key);
+                if (!this.contacts.has(key)) {
+                    this.fire(EVENT_TYPES.COLLISION, {
+                        a, b, depth: contact.depth, normal: contact.normal, mtv: contact.mtv, resolved: contact.resolved
+                    });
+                }
+            }
+        }
+
+        findRule(a, b) {
+            const len = this.rules.length;
+            for (let i = 0; i < len; i++) {
+                const rule = this.rules[i];
+                if ((a.group === rule.groupA && b.group === rule.groupB) ||
+                        (a.group === rule.groupB && b.group === rule.groupA)) {
+                    return rule;
+                }
+            }
+            return null;
+        }
+    }
@@ -0,0 +1,259 @@
+/*
+ * Debug overlay module - ES6 version
+ *
+ * Shows what collision detection and the ObjectManager see during real
+ * gameplay: the collision shapes of the current frame, AABBs, velocities,
+ * order and idx of each object and the tree of components.
+ */
+import { AnimationComponent, STATE } from './animation.js';
+import { computeAABB } from './boundingShape.js';
+
+/**
+ * Name of the layer for the overlay, add it above the others, e.g.
+ * objectManager.addLayer(DEBUG_LAYER, {order: 250, visible: false})
+ */
+export const DEBUG_LAYER = 'debug';
+
+const stateName = (state) => {
+    return Object.keys(STATE).find((name) => STATE[name] === state) || '?';
+};
+
+const childrenOf = (obj) => {
+    if (Array.isArray(obj.components)) {
+        return obj.components;
+    }
+    return obj.delegate ? [obj.delegate] : [];
+};
+
+const describe = (obj) => {
+    let text = obj.constructor.name;
+    if (obj.idx !== undefined) {
+        text += ' #' + obj.idx;
+    }
+    if (typeof obj.getOrder === 'function' && obj.getOrder() !== 0) {
+        text += ' order ' + obj.getOrder();
+    }
+    if (typeof obj.getState === 'function' && obj.getState() !== STATE.UNKNOWN) {
+        text += ' ' + stateName(obj.getState());
+    }
+    if (typeof obj.isPaused === 'function' && obj.isPaused()) {
+        text += ' paused';
+    }
+    return text;
+};
+
+const dumpComponent = (obj, depth, maxDepth, lines) => {
+    lines.push('  '.repeat(depth) + describe(obj));
+    if (depth < maxDepth) {
+        //shared components (e.g. a sprite used by several SceneNodes) are listed at every use
+        childrenOf(obj).forEach((child) => {
+            if (child !== null && typeof child === 'object') {
+                dumpComponent(child, depth + 1, maxDepth, lines);
+            }
+        });
+    }
+    return lines;
+};
+
+/**
+ * Text dump of all managed objects by layer, one line per component.
+ * @param {ObjectManager} objectManager
+ * @param {number} maxDepth - levels of components below the top level objects (default: all)
+ * @returns {Array<string>} - the lines
+ */
+export const dumpObjectTree = (objectManager, maxDepth = Infinity) => {
+    const lines = [];
+    objectManager.getLayers().forEach((layer) => {
+        const animations = layer.getAnimations();
+        lines.push('[' + layer.getName() + '] ' + animations.length + (layer.isVisible() ? '' : ' hidden'));
+        animations.forEach((obj) => dumpComponent(obj, 1, maxDepth + 1, lines));
+    });
+    return lines;
+};
+
+/**
+ * Paints debug information on top of the game, toggle it with the visibility of its layer.
+ * While the layer is hidden the overlay skips its updates as well.
+ * Convex parts of colliders are green, other bounding polygons yellow, AABBs red,
+ * velocity vectors cyan. The labels show order/idx of each object.
+ */
+export class DebugOverlay extends AnimationComponent {
+        /**
+         * @param {ObjectManager} objectManager - the objects to show
+         * @param {CollisionSystem} collisionSystem - optional, its colliders show the convex parts
+         * @param {Object} options
+         * @param {boolean} options.shapes - collision shapes or bounding polygons (default: true)
+         * @param {boolean} options.aabbs - (default: true)
+         * @param {boolean} options.velocities - (default: true)
+         * @param {boolean} options.labels - order/idx (default: true)
+         * @param {boolean} options.tree - text dump of the top level objects, see dumpObjectTree (default: true)
+         * @param {number} options.treeDepth - component levels in the dump (default: 1)
+         * @param {number} options.maxLines - lines of the dump painted at most (default: 40)
+         * @param {number} options.velocityScale - ms of movement a velocity vector shows (default: 250)
+         */
+        constructor(objectManager, collisionSystem = null, options = {}) {
+            super();
+            this.objectManager = objectManager;
+            this.collisionSystem = collisionSystem;
+            this.options = Object.assign({
+                shapes: true,
+                aabbs: true,
+                velocities: true,
+                labels: true,
+                tree: true,
+                treeDepth: 1,
+                maxLines: 40,
+                velocityScale: 250
+            }, options);
+            //object -> {x, y, vx, vy}, center of its AABB and velocity in pixel per ms
+            this.motion = new Map();
+        }
+
+        init() {
+            this.motion = new Map();
+            return super.init();
+        }
+
+        update(current) {
+            if (!this.isShown()) {
+                //velocities start over when the overlay is shown again
+                this.motion.clear();
+                return super.update(current);
+            }
+            const delta = current - this.lastUpdateTime;
+            const motion = new Map();
+            this.objectManager.getAnimations().forEach((obj) => {
+                const aabb = this.aabbOf(obj);
+                if (!aabb) {
+                    return;
+                }
+                const x = (aabb.xmin + aabb.xmax) / 2;
+                const y = (aabb.ymin + aabb.ymax) / 2;
+                const last = this.motion.get(obj);
+                const entry = {x, y, vx: 0, vy: 0};
+                if (last && delta > 0) {
+                    entry.vx = (x - last.x) / delta;
+                    entry.vy = (y - last.y) / delta;
+                } else if (last) {
+                    entry.vx = last.vx;
+                    entry.vy = last.vy;
+                }
+                motion.set(obj, entry);
+            });
+            this.motion = motion;
+            return super.update(current);
+        }
+
+        /**
+         * @returns {boolean} - whether the layer of the overlay is visible
+         */
+        isShown() {
+            return this.objectManager.getLayer(this.getLayer()).isVisible();
+        }
+
+        aabbOf(obj) {
+            if (obj === this || typeof obj.getBoundingPolygon !== 'function') {
+                return undefined;
+            }
+            const polygon = obj.getBoundingPolygon();
+            return polygon ? computeAABB(polygon) : undefined;
+        }
+
+        /**
+         * @returns {Map} - top level object -> colliders of the object and its components
+         */
+        collidersByRoot() {
+            const byRoot = new Map();
+            if (this.collisionSystem) {
+                this.collisionSystem.getColliders().forEach((collider) => {
+                    if (!collider.isAlive()) {
+                        return;
+                    }
+                    const root = collider.target.getRoot() || collider.target;
+                    if (!byRoot.has(root)) {
+                        byRoot.set(root, []);
+                    }
+                    byRoot.get(root).push(collider);
+                });
+            }
+            return byRoot;
+        }
+
+        paint(ctx) {
+            const options = this.options;
+            const colliders = this.collidersByRoot();
+            ctx.save();
+            ctx.lineWidth = 1;
+            ctx.font = '10px monospace';
+            ctx.textBaseline = 'bottom';
+            this.objectManager.getAnimations().forEach((obj) => {
+                const aabb = this.aabbOf(obj);
+                if (!aabb) {
+                    return;
+                }
+                if (options.shapes) {
+                    if (colliders.has(obj)) {
+                        ctx.strokeStyle = '#00FF00';
+                        colliders.get(obj).forEach((collider) => {
+                            collider.getPolygons().forEach((polygon) => this.strokePolygon(ctx, polygon));
+                        });
+                    } else {
+                        ctx.strokeStyle = '#FFFF00';
+                        this.strokePolygon(ctx, obj.getBoundingPolygon());
+                    }
+                }
+                if (options.aabbs) {
+                    ctx.strokeStyle = '#FF0000';
+                    ctx.setLineDash([3, 3]);
+                    ctx.strokeRect(aabb.xmin, aabb.ymin, aabb.xmax - aabb.xmin, aabb.ymax - aabb.ymin);
+                    ctx.setLineDash([]);
+                }
+                const motion = this.motion.get(obj);
+                if (options.velocities && motion) {
+                    ctx.strokeStyle = '#00FFFF';
+                    ctx.beginPath();
+                    ctx.moveTo(motion.x, motion.y);
+                    ctx.lineTo(motion.x + motion.vx * options.velocityScale, motion.y + motion.vy * options.velocityScale);
+                    ctx.stroke();
+                }
+                if (options.labels) {
+                    ctx.fillStyle = '#FFFFFF';
+                    ctx.fillText(obj.getOrder() + '/' + obj.idx, aabb.xmin, aabb.ymin);
+                }
+            });
+            ctx.restore();
+            if (options.tree) {
+                this.paintTree(ctx);
+            }
+        }
+
+        strokePolygon(ctx, polygon) {
+            if (!polygon || polygon.length === 0) {
+                return;
+            }
+            ctx.beginPath();
+            ctx.moveTo(polygon[0].x, polygon[0].y);
+            for (let i = 1; i < polygon.length; i++) {
+                ctx.lineTo(polygon[i].x, polygon[i].y);
+            }
+            ctx.closePath();
+            ctx.stroke();
+        }
+
+        paintTree(ctx) {
+            let lines = dumpObjectTree(this.objectManager, this.options.treeDepth);
+            if (lines.length > this.options.maxLines) {
+                lines = lines.slice(0, this.options.maxLines - 1).concat(['... ' + (lines.length - this.options.maxLines + 1) + ' more']);
+            }
+            ctx.save();
+            //screen coordinates, the camera doesn't move the text
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.font = '10px monospace';
+            ctx.textBaseline = 'top';
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(0, 60, 260, 12 * lines.length + 8);
+            ctx.fillStyle = '#FFFFFF';
+            lines.forEach((line, i) => ctx.fillText(line, 4, 64 + 12 * i));
+            ctx.restore();
+        }
+    }
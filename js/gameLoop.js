@@ -0,0 +1,111 @@
+/*
+ * Game loop module - ES6 version
+ *
+ * Fixed timestep loop: the simulation always advances in steps of the same
+ * length, independent of the frame rate, while painting happens once per frame.
+ * Each step advances the clock of the ObjectManager, so its scale and pause
+ * state decide how much game time passes per frame.
+ * See https://gafferongames.com/post/fix_your_timestep/
+ */
+
+export class GameLoop {
+        /**
+         * @param {ObjectManager} objectManager - updated, committed and painted by the loop
+         * @param {CanvasRenderingContext2D} ctx - context to paint into
+         * @param {Object} options
+         * @param {number} options.step - length of a simulation step in ms (default: 1000 / 60)
+         * @param {number} options.maxFrameTime - longer frames are clamped to this, so the simulation
+         *                                        doesn't spiral after the tab was in the background (default: 250)
+         * @param {Function} options.onUpdate - (time) called after each simulation step has been committed
+         * @param {Function} options.onRender - (ctx, alpha) called after the objects have been painted
+         */
+        constructor(objectManager, ctx, options = {}) {
+            this.objectManager = objectManager;
+            this.ctx = ctx;
+            this.step = options.step || 1000 / 60;
+            this.maxFrameTime = options.maxFrameTime || 250;
+            this.onUpdate = options.onUpdate;
+            this.onRender = options.onRender;
+            this.running = false;
+            this.requestId = null;
+            this.lastFrameTime = 0;
+            //game time not yet consumed by a step, always < step
+            this.accumulator = 0;
+            //accumulator / step, how far painting is between the last two steps
+            this.alpha = 0;
+            this.frame = this.frame.bind(this);
+        }
+
+        start() {
+            if (this.running) {
+                return this;
+            }
+            this.running = true;
+            this.lastFrameTime = performance.now();
+            this.accumulator = 0;
+            this.requestId = window.requestAnimationFrame(this.frame);
+            return this;
+        }
+
+        stop() {
+            this.running = false;
+            if (this.requestId !== null) {
+                window.cancelAnimationFrame(this.requestId);
+                this.requestId = null;
+            }
+            return this;
+        }
+
+        isRunning() {
+            return this.running;
+        }
+
+        frame(timestamp) {
+            if (!this.running) {
+                return;
+            }
+            this.advance(timestamp);
+            this.render();
+            this.requestId = window.requestAnimationFrame(this.frame);
+        }
+
+        /**
+         * Runs as many simulation steps as fit into the game time elapsed since the last frame.
+         * @param {number} timestamp - current wall clock time in ms
+         * @returns {number} - number of steps run
+         */
+        advance(timestamp) {
+            let frameTime = timestamp - this.lastFrameTime;
+            this.lastFrameTime = timestamp;
+            if (frameTime > this.maxFrameTime) {
+                frameTime = this.maxFrameTime;
+            } else if (frameTime < 0) {
+                frameTime = 0;
+            }
+            const clock = this.objectManager.getClock();
+            this.accumulator += clock.toGameTime(frameTime);
+            let steps = 0;
+            while (this.accumulator >= this.step) {
+                this.update(clock.step(this.step));
+                this.accumulator -= this.step;
+                steps++;
+            }
+            this.alpha = this.accumulator / this.step;
+            return steps;
+        }
+
+        update(time) {
+            this.objectManager.update(time);
+            this.objectManager.commit();
+            if (this.onUpdate) {
+                this.onUpdate(time);
+            }
+        }
+
+        render() {
+            this.objectManager.paint(this.ctx, this.alpha);
+            if (this.onRender) {
+                this.onRender(this.ctx, this.alpha);
+            }
+        }
+    }
@@ -0,0 +1,291 @@
+/*
+ * Painters module - ES6 version
+ *
+ * Vector shapes and text usable as paintable of a PaintableWithAnimation or
+ * SceneNode, e.g. for HUD elements, laser beams and orbit guides. Like sprites
+ * and images, every painter fills the box of getWidth x getHeight at the paint position.
+ */
+import { AnimationComponent } from './animation.js';
+
+/**
+ * Fill or stroke style: a css color or a gradient {type: 'linear', x0, y0, x1, y1, stops}
+ * or {type: 'radial', x0, y0, r0, x1, y1, r1, stops}. Gradient coordinates are relative
+ * to the paint position, stops are [offset, color] pairs.
+ */
+const resolveStyle = (ctx, style, px, py) => {
+    if (style === null || typeof style !== 'object' || style.stops === undefined) {
+        return style;
+    }
+    const gradient = style.type === 'radial'
+            ? ctx.createRadialGradient(px + style.x0, py + style.y0, style.r0, px + style.x1, py + style.y1, style.r1)
+            : ctx.createLinearGradient(px + style.x0, py + style.y0, px + style.x1, py + style.y1);
+    style.stops.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+    return gradient;
+};
+
+const boundsOf = (points) => {
+    const xs = points.map((point) => point.x);
+    const ys = points.map((point) => point.y);
+    return {xmin: Math.min(...xs), ymin: Math.min(...ys), xmax: Math.max(...xs), ymax: Math.max(...ys)};
+};
+
+/**
+ * Base class of the painters, subclasses trace their path in tracePath.
+ */
+export class ShapePainter extends AnimationComponent {
+        /**
+         * @param {Object} style
+         * @param {string|Object} style.fill - fill style, see resolveStyle (default: no fill)
+         * @param {string|Object} style.stroke - stroke style, see resolveStyle (default: no outline)
+         * @param {number} style.lineWidth - (default: 1)
+         * @param {Array<number>} style.lineDash - e.g. [4, 2] for dashed outlines (default: solid)
+         * @param {string} style.lineCap - (default: 'butt')
+         * @param {string} style.lineJoin - (default: 'miter')
+         * @param {{color: string, blur: number, offsetX: number, offsetY: number}} style.shadow - (default: none)
+         * @param {string} style.compositeOperation - blend mode, e.g. 'lighter' for glowing beams (default: 'source-over')
+         * @param {number} style.alpha - opacity multiplied into the context (default: 1)
+         */
+        constructor(style = {}) {
+            super();
+            this.style = style;
+        }
+
+        setStyle(style) {
+            this.style = style;
+            return this;
+        }
+
+        getStyle() {
+            return this.style;
+        }
+
+        init() {
+            return this;
+        }
+
+        update(current) {
+        }
+
+        paint(ctx, px, py) {
+            const style = this.style;
+            ctx.save();
+            this.applyStyle(ctx, px, py);
+            ctx.beginPath();
+            this.tracePath(ctx, px, py);
+            if (style.fill !== undefined) {
+                ctx.fill();
+            }
+            if (style.stroke !== undefined) {
+                ctx.stroke();
+            }
+            ctx.restore();
+        }
+
+        applyStyle(ctx, px, py) {
+            const style = this.style;
+            if (style.fill !== undefined) {
+                ctx.fillStyle = resolveStyle(ctx, style.fill, px, py);
+            }
+            if (style.stroke !== undefined) {
+                ctx.strokeStyle = resolveStyle(ctx, style.stroke, px, py);
+            }
+            ctx.lineWidth = style.lineWidth === undefined ? 1 : style.lineWidth;
+            ctx.setLineDash(style.lineDash || []);
+            if (style.lineCap !== undefined) {
+                ctx.lineCap = style.lineCap;
+            }
+            if (style.lineJoin !== undefined) {
+                ctx.lineJoin = style.lineJoin;
+            }
+            if (style.shadow !== undefined) {
+                ctx.shadowColor = style.shadow.color;
+                ctx.shadowBlur = style.shadow.blur || 0;
+                ctx.shadowOffsetX = style.shadow.offsetX || 0;
+                ctx.shadowOffsetY = style.shadow.offsetY || 0;
+            }
+            if (style.compositeOperation !== undefined) {
+                ctx.globalCompositeOperation = style.compositeOperation;
+            }
+            if (style.alpha !== undefined) {
+                ctx.globalAlpha *= style.alpha;
+            }
+        }
+
+        tracePath(ctx, px, py) {
+        }
+
+        getWidth() {
+            return 0;
+        }
+
+        getHeight() {
+            return 0;
+        }
+    }
+
+export class RectPainter extends ShapePainter {
+        constructor(width, height, style) {
+            super(style);
+            this.width = width;
+            this.height = height;
+        }
+
+        tracePath(ctx, px, py) {
+            ctx.rect(px, py, this.width, this.height);
+        }
+
+        getWidth() {
+            return this.width;
+        }
+
+        getHeight() {
+            return this.height;
+        }
+    }
+
+export class RoundedRectPainter extends RectPainter {
+        constructor(width, height, radius, style) {
+            super(width, height, style);
+            this.radius = radius;
+        }
+
+        tracePath(ctx, px, py) {
+            const r = Math.min(this.radius, this.width / 2, this.height / 2);
+            const right = px + this.width;
+            const bottom = py + this.height;
+            ctx.moveTo(px + r, py);
+            ctx.arcTo(right, py, right, bottom, r);
+            ctx.arcTo(right, bottom, px, bottom, r);
+            ctx.arcTo(px, bottom, px, py, r);
+            ctx.arcTo(px, py, right, py, r);
+            ctx.closePath();
+        }
+    }
+
+export class EllipsePainter extends ShapePainter {
+        constructor(radiusX, radiusY, style) {
+            super(style);
+            this.radiusX = radiusX;
+            this.radiusY = radiusY;
+        }
+
+        tracePath(ctx, px, py) {
+            ctx.ellipse(px + this.radiusX, py + this.radiusY, this.radiusX, this.radiusY, 0, 0, 2 * Math.PI);
+        }
+
+        getWidth() {
+            return 2 * this.radiusX;
+        }
+
+        getHeight() {
+            return 2 * this.radiusY;
+        }
+    }
+
+/**
+ * Open line through "points", shifted so their bounding box starts at the paint position.
+ */
+export class PolylinePainter extends ShapePainter {
+        constructor(points, style) {
+            super(style);
+            this.setPoints(points);
+        }
+
+        setPoints(points) {
+            this.points = points;
+            this.bounds = boundsOf(points);
+            return this;
+        }
+
+        tracePath(ctx, px, py) {
+            const x = px - this.bounds.xmin;
+            const y = py - this.bounds.ymin;
+            this.points.forEach((point, i) => {
+                if (i === 0) {
+                    ctx.moveTo(x + point.x, y + point.y);
+                } else {
+                    ctx.lineTo(x + point.x, y + point.y);
+                }
+            });
+        }
+
+        getWidth() {
+            return this.bounds.xmax - this.bounds.xmin;
+        }
+
+        getHeight() {
+            return this.bounds.ymax - this.bounds.ymin;
+        }
+    }
+
+/**
+ * Closed outline through "points", see PolylinePainter.
+ */
+export class PolygonPainter extends PolylinePainter {
+        tracePath(ctx, px, py) {
+            super.tracePath(ctx, px, py);
+            ctx.closePath();
+        }
+    }
+
+/**
+ * Straight line by (dx, dy), e.g. a laser beam.
+ */
+export class LinePainter extends PolylinePainter {
+        constructor(dx, dy, style) {
+            super([{x: 0, y: 0}, {x: dx, y: dy}], style);
+            this.dx = dx;
+            this.dy = dy;
+        }
+    }
+
+/**
+ * Text, e.g. scores of a HUD. "text" may be a function, which is called on each paint.
+ * The style takes font, textAlign and textBaseline besides the ShapePainter styles,
+ * the text is placed with its top left corner at the paint position by default.
+ */
+export class TextPainter extends ShapePainter {
+        constructor(text, style = {}) {
+            super(style);
+            this.text = text;
+            //measured on paint, the context knows the font metrics
+            this.width = 0;
+        }
+
+        setText(text) {
+            this.text = text;
+            return this;
+        }
+
+        getText() {
+            return typeof this.text === 'function' ? String(this.text()) : String(this.text);
+        }
+
+        paint(ctx, px, py) {
+            const style = this.style;
+            const text = this.getText();
+            ctx.save();
+            this.applyStyle(ctx, px, py);
+            ctx.font = style.font || '20pt Calibri';
+            ctx.textAlign = style.textAlign || 'left';
+            ctx.textBaseline = style.textBaseline || 'top';
+            this.width = ctx.measureText(text).width;
+            if (style.fill !== undefined || style.stroke === undefined) {
+                ctx.fillText(text, px, py);
+            }
+            if (style.stroke !== undefined) {
+                ctx.strokeText(text, px, py);
+            }
+            ctx.restore();
+        }
+
+        getWidth() {
+            return this.width;
+        }
+
+        getHeight() {
+            //the em size of the font, e.g. 20 of '20pt Calibri'
+            const size = /(\d+)(px|pt)/.exec(this.style.font || '20pt');
+            return size ? Number(size[1]) * (size[2] === 'pt' ? 4 / 3 : 1) : 0;
+        }
+    }
@@ -0,0 +1,176 @@
+/*
+ * Parallax module - ES6 version
+ *
+ * Endless scrolling backgrounds made of tiles which repeat in both directions.
+ * Layers scrolling at different speeds give the impression of depth.
+ */
+import { AnimationComponent } from './animation.js';
+import { Rectangle2D } from './base.js';
+
+//room around the view for the shake and the interpolated position of the camera
+const VIEW_MARGIN = 64;
+
+const wrap = (value, size) => {
+    return ((value % size) + size) % size;
+};
+
+/**
+ * Tile of randomly placed stars, see ParallaxBackground.addLayer.
+ * The stars are placed once, so the tile repeats seamlessly.
+ */
+export class StarTilePainter extends AnimationComponent {
+        /**
+         * @param {number} width - size of the tile
+         * @param {number} height
+         * @param {number} count - number of stars
+         * @param {number} maxRadius - stars get a random radius up to this
+         * @param {string} color - fill style of the stars (default: 'white')
+         */
+        constructor(width, height, count, maxRadius, color = 'white') {
+            super();
+            this.width = width;
+            this.height = height;
+            this.color = color;
+            this.stars = [];
+            for (let i = 0; i < count; i++) {
+                this.stars.push({
+                    x: Math.random() * width,
+                    y: Math.random() * height,
+                    radius: 0.3 + Math.random() * (maxRadius - 0.3)
+                });
+            }
+        }
+
+        paint(ctx, px, py) {
+            ctx.fillStyle = this.color;
+            this.stars.forEach((star) => {
+                ctx.beginPath();
+                ctx.arc(px + star.x, py + star.y, star.radius, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        }
+
+        getWidth() {
+            return this.width;
+        }
+
+        getHeight() {
+            return this.height;
+        }
+    }
+
+/**
+ * Background of tiled layers scrolling forever, painted back to front in the
+ * order the layers were added. It fills the "width" x "height" area at (0, 0)
+ * of the context. In a layer of the ObjectManager that follows the camera it fills
+ * the view instead, the parallax of that layer (see Layer) sets how far away it seems.
+ */
+export class ParallaxBackground extends AnimationComponent {
+        /**
+         * @param {number} width - size of the area to fill without camera, usually the canvas
+         * @param {number} height
+         */
+        constructor(width, height) {
+            super();
+            this.width = width;
+            this.height = height;
+            this.layers = [];
+        }
+
+        /**
+         * @param {Object} tile - paintable repeated in both directions, provides paint(ctx, x, y), getWidth and getHeight
+         * @param {Object} options
+         * @param {number} options.speedX - pixel per ms, positive values move the tiles right (default: 0)
+         * @param {number} options.speedY - pixel per ms, positive values move the tiles down (default: 0)
+         * @param {number} options.alpha - opacity of the layer (default: 1)
+         */
+        addLayer(tile, options = {}) {
+            this.layers.push({
+                tile,
+                speedX: options.speedX || 0,
+                speedY: options.speedY || 0,
+                alpha: options.alpha === undefined ? 1 : options.alpha,
+                //scroll position within one tile
+                offsetX: 0,
+                offsetY: 0,
+                //movement of the last update, painting interpolates back from the offset
+                stepX: 0,
+                stepY: 0
+            });
+            return this;
+        }
+
+        getLayers() {
+            return this.layers;
+        }
+
+        init() {
+            this.layers.forEach((layer) => {
+                layer.offsetX = 0;
+                layer.offsetY = 0;
+                layer.stepX = 0;
+                layer.stepY = 0;
+            });
+            return super.init();
+        }
+
+        update(current) {
+            const delta = current - this.lastUpdateTime;
+            this.layers.forEach((layer) => {
+                layer.stepX = layer.speedX * delta;
+                layer.stepY = layer.speedY * delta;
+                layer.offsetX = wrap(layer.offsetX + layer.stepX, layer.tile.getWidth());
+                layer.offsetY = wrap(layer.offsetY + layer.stepY, layer.tile.getHeight());
+            });
+            return super.update(current);
+        }
+
+        /**
+         * @returns {Rectangle2D} - the area of the context within the view
+         */
+        getVisibleArea() {
+            const manager = this.objectManager;
+            const camera = manager ? manager.getCamera() : null;
+            const layer = camera ? manager.getLayer(this.getLayer()) : null;
+            if (layer === null || layer.isFixed() || typeof camera.getViewRect !== 'function') {
+                return Rectangle2D(0, 0, this.width, this.height);
+            }
+            const view = camera.getViewRect(layer.getParallax());
+            return Rectangle2D(view.xmin - VIEW_MARGIN, view.ymin - VIEW_MARGIN, view.xmax + VIEW_MARGIN, view.ymax + VIEW_MARGIN);
+        }
+
+        paint(ctx, alpha) {
+            const area = this.getVisibleArea();
+            this.layers.forEach((layer) => {
+                let offsetX = layer.offsetX;
+                let offsetY = layer.offsetY;
+                if (alpha !== undefined) {
+                    offsetX -= layer.stepX * (1 - alpha);
+                    offsetY -= layer.stepY * (1 - alpha);
+                }
+                this.paintLayer(ctx, layer, area, offsetX, offsetY);
+            });
+        }
+
+        paintLayer(ctx, layer, area, offsetX, offsetY) {
+            const tileWidth = layer.tile.getWidth();
+            const tileHeight = layer.tile.getHeight();
+            //the tile left of / above the visible part of the first one
+            let startX = area.xmin + wrap(offsetX - area.xmin, tileWidth);
+            let startY = area.ymin + wrap(offsetY - area.ymin, tileHeight);
+            if (startX > area.xmin) {
+                startX -= tileWidth;
+            }
+            if (startY > area.ymin) {
+                startY -= tileHeight;
+            }
+            const previousAlpha = ctx.globalAlpha;
+            ctx.globalAlpha = previousAlpha * layer.alpha;
+            for (let y = startY; y < area.ymax; y += tileHeight) {
+                for (let x = startX; x < area.xmax; x += tileWidth) {
+                    layer.tile.paint(ctx, x, y);
+                }
+            }
+            ctx.globalAlpha = previousAlpha;
+        }
+    }
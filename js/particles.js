@@ -0,0 +1,284 @@
+/*
+ * Particles module - ES6 version
+ *
+ * Emitters for many small short lived particles like sparks, smoke, engine
+ * trails and debris. The particle data lives in typed arrays instead of one
+ * object per particle, so thousands of particles don't burden the garbage collector.
+ */
+import { AnimationComponent, EVENT_TYPES } from './animation.js';
+
+/**
+ * @param {number|Array<number>} range - fixed value or [min, max]
+ */
+const randomIn = (range) => {
+    return typeof range === 'number' ? range : range[0] + Math.random() * (range[1] - range[0]);
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+//fill styles precomputed per emitter, enough steps that the color changes look smooth
+const COLOR_STEPS = 32;
+
+/**
+ * @param {string} color - '#rgb' or '#rrggbb'
+ * @returns {Array<number>} - [r, g, b]
+ */
+const parseColor = (color) => {
+    let hex = color.replace('#', '');
+    if (hex.length === 3) {
+        hex = hex.split('').map((c) => c + c).join('');
+    }
+    const value = parseInt(hex, 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+/**
+ * Fill style at "t" in [0, 1] of a gradient through evenly spread colors.
+ */
+const colorAt = (colors, t) => {
+    const scaled = t * (colors.length - 1);
+    const idx = Math.min(Math.floor(scaled), colors.length - 2);
+    const local = scaled - idx;
+    const from = colors[idx];
+    const to = colors[idx + 1];
+    return 'rgb(' + Math.round(lerp(from[0], to[0], local)) + ','
+            + Math.round(lerp(from[1], to[1], local)) + ','
+            + Math.round(lerp(from[2], to[2], local)) + ')';
+};
+
+/**
+ * @param {Array<string>} colors - '#rgb' or '#rrggbb'
+ * @returns {Array<string>} - fill styles from the first to the last color, picked by the age of a particle
+ */
+const buildFillStyles = (colors) => {
+    if (colors.length === 1) {
+        return [colors[0]];
+    }
+    const rgbs = colors.map(parseColor);
+    const styles = [];
+    for (let i = 0; i < COLOR_STEPS; i++) {
+        styles.push(colorAt(rgbs, i / (COLOR_STEPS - 1)));
+    }
+    return styles;
+};
+
+export const PARTICLE_SHAPE = {
+    CIRCLE: 'circle',
+    SQUARE: 'square'
+};
+
+/**
+ * Emits particles continuously ("rate") and in bursts. Particles start at the
+ * position of the emitter, fly within the cone "angle" +- "spread" / 2, are pulled
+ * by gravity, slowed by drag and fade from their start to their end values.
+ * Add it to the ObjectManager as top level object, it paints in world coordinates.
+ *
+ * An emitter without rate fires ANIMATION_END when its last particle has died,
+ * e.g. to remove an explosion, see burst.
+ */
+export class ParticleEmitter extends AnimationComponent {
+        /**
+         * Ranges are a fixed number or [min, max], drawn for each particle.
+         * @param {Object} options
+         * @param {Object} options.position - provides getX/getY of the emitter, e.g. a XYAnimation or a paintable
+         * @param {number} options.offsetX - added to the position (default: 0)
+         * @param {number} options.offsetY - added to the position (default: 0)
+         * @param {number} options.maxParticles - capacity, particles beyond it are dropped (default: 500)
+         * @param {number} options.rate - particles per second emitted while emitting (default: 0)
+         * @param {number} options.burst - particles emitted by init (default: 0)
+         * @param {number|Array} options.lifetime - ms (default: 1000)
+         * @param {number|Array} options.speed - pixel per ms (default: 0.1)
+         * @param {number} options.angle - direction of the cone in radians, 0 points right, PI / 2 down (default: 0)
+         * @param {number} options.spread - width of the cone in radians, 2 * PI for all directions (default: 2 * PI)
+         * @param {{x: number, y: number}} options.gravity - acceleration in pixel per ms² (default: none)
+         * @param {number} options.drag - part of the velocity lost per ms (default: 0)
+         * @param {Array<string>} options.colors - '#rrggbb' colors the particles run through over their life (default: ['#ffffff'])
+         * @param {Array<number>} options.size - [start, end] size in pixels over life (default: [4, 4])
+         * @param {Array<number>} options.alpha - [start, end] opacity over life (default: [1, 0])
+         * @param {string} options.shape - PARTICLE_SHAPE of primitive particles (default: CIRCLE)
+         * @param {Object} options.sprite - image painted for each particle instead of a primitive (default: none)
+         * @param {boolean} options.additive - lighter blending, overlapping particles glow (default: false)
+         */
+        constructor(options = {}) {
+            super();
+            this.position = options.position || null;
+            this.offsetX = options.offsetX || 0;
+            this.offsetY = options.offsetY || 0;
+            this.maxParticles = options.maxParticles || 500;
+            this.rate = options.rate || 0;
+            this.burstCount = options.burst || 0;
+            this.lifetime = options.lifetime || 1000;
+            this.speed = options.speed === undefined ? 0.1 : options.speed;
+            this.angle = options.angle || 0;
+            this.spread = options.spread === undefined ? 2 * Math.PI : options.spread;
+            this.gravity = options.gravity || {x: 0, y: 0};
+            this.drag = options.drag || 0;
+            this.fillStyles = buildFillStyles(options.colors || ['#ffffff']);
+            this.size = options.size || [4, 4];
+            this.alpha = options.alpha || [1, 0];
+            this.shape = options.shape || PARTICLE_SHAPE.CIRCLE;
+            this.sprite = options.sprite || null;
+            this.additive = options.additive === true;
+            this.x = new Float32Array(this.maxParticles);
+            this.y = new Float32Array(this.maxParticles);
+            this.vx = new Float32Array(this.maxParticles);
+            this.vy = new Float32Array(this.maxParticles);
+            this.age = new Float32Array(this.maxParticles);
+            this.life = new Float32Array(this.maxParticles);
+            //living particles are kept at the start of the arrays
+            this.count = 0;
+            this.emitting = this.rate > 0;
+            //fractions of particles not yet emitted
+            this.pending = 0;
+            this.ended = false;
+        }
+
+        init() {
+            this.count = 0;
+            this.pending = 0;
+            this.ended = false;
+            this.emitting = this.rate > 0;
+            super.init();
+            if (this.burstCount > 0) {
+                this.burst(this.burstCount);
+            }
+            return this;
+        }
+
+        /**
+         * Continues the emission with "rate" particles per second.
+         */
+        start() {
+            this.emitting = true;
+            this.ended = false;
+            return this;
+        }
+
+        stop() {
+            this.emitting = false;
+            return this;
+        }
+
+        isEmitting() {
+            return this.emitting;
+        }
+
+        setRate(rate) {
+            this.rate = rate;
+            return this;
+        }
+
+        setPosition(position) {
+            this.position = position;
+            return this;
+        }
+
+        getCount() {
+            return this.count;
+        }
+
+        getX() {
+            return (this.position ? this.position.getX() : 0) + this.offsetX;
+        }
+
+        getY() {
+            return (this.position ? this.position.getY() : 0) + this.offsetY;
+        }
+
+        /**
+         * Emits "count" particles at once at the position of the emitter.
+         */
+        burst(count) {
+            const x = this.getX();
+            const y = this.getY();
+            for (let i = 0; i < count; i++) {
+                this.emit(x, y);
+            }
+            this.ended = false;
+            return this;
+        }
+
+        emit(x, y) {
+            if (this.count >= this.maxParticles) {
+                return;
+            }
+            const i = this.count++;
+            const angle = this.angle + (Math.random() - 0.5) * this.spread;
+            const speed = randomIn(this.speed);
+            this.x[i] = x;
+            this.y[i] = y;
+            this.vx[i] = Math.cos(angle) * speed;
+            this.vy[i] = Math.sin(angle) * speed;
+            this.age[i] = 0;
+            this.life[i] = randomIn(this.lifetime);
+        }
+
+        update(current) {
+            const delta = current - this.lastUpdateTime;
+            if (this.emitting && this.rate > 0) {
+                this.pending += this.rate * delta / 1000;
+                const x = this.getX();
+                const y = this.getY();
+                for (; this.pending >= 1; this.pending--) {
+                    this.emit(x, y);
+                }
+            }
+            const damping = this.drag > 0 ? Math.exp(-this.drag * delta) : 1;
+            const gx = this.gravity.x * delta;
+            const gy = this.gravity.y * delta;
+            for (let i = 0; i < this.count; ) {
+                this.age[i] += delta;
+                if (this.age[i] >= this.life[i]) {
+                    //swap in the last particle, order doesn't matter
+                    this.count--;
+                    this.x[i] = this.x[this.count];
+                    this.y[i] = this.y[this.count];
+                    this.vx[i] = this.vx[this.count];
+                    this.vy[i] = this.vy[this.count];
+                    this.age[i] = this.age[this.count];
+                    this.life[i] = this.life[this.count];
+                    continue;
+                }
+                this.vx[i] = (this.vx[i] + gx) * damping;
+                this.vy[i] = (this.vy[i] + gy) * damping;
+                this.x[i] += this.vx[i] * delta;
+                this.y[i] += this.vy[i] * delta;
+                i++;
+            }
+            super.update(current);
+            if (!this.emitting && this.count === 0 && !this.ended) {
+                this.ended = true;
+                this.fire(EVENT_TYPES.ANIMATION_END, this);
+            }
+        }
+
+        paint(ctx) {
+            if (this.count === 0) {
+                return;
+            }
+            ctx.save();
+            if (this.additive) {
+                ctx.globalCompositeOperation = 'lighter';
+            }
+            const baseAlpha = ctx.globalAlpha;
+            const lastStyle = this.fillStyles.length - 1;
+            for (let i = 0; i < this.count; i++) {
+                const t = this.age[i] / this.life[i];
+                const size = lerp(this.size[0], this.size[1], t);
+                ctx.globalAlpha = baseAlpha * lerp(this.alpha[0], this.alpha[1], t);
+                if (this.sprite) {
+                    ctx.drawImage(this.sprite, this.x[i] - size / 2, this.y[i] - size / 2, size, size);
+                    continue;
+                }
+                ctx.fillStyle = this.fillStyles[Math.round(t * lastStyle)];
+                if (this.shape === PARTICLE_SHAPE.SQUARE) {
+                    ctx.fillRect(this.x[i] - size / 2, this.y[i] - size / 2, size, size);
+                } else {
+                    ctx.beginPath();
+                    ctx.arc(this.x[i], this.y[i], size / 2, 0, 2 * Math.PI);
+                    ctx.fill();
+                }
+            }
+            ctx.restore();
+        }
+    }
@@ -0,0 +1,396 @@
+/*
+ * Scene loader module - ES6 version
+ *
+ * Builds component trees from plain data (e.g. JSON files loaded by the
+ * AssetManager) and dumps existing trees back into that format.
+ *
+ * A node is {type, id, args, children, order, layer, transform}:
+ * - type: name of a component registered with the SceneLoader, see DEFAULT_TYPES
+ * - args: constructor arguments, which may be nodes themselves
+ * - id: optional, lets later arguments reuse this instance with {ref: id}
+ * - children: nodes added with addChild (SceneNode)
+ * - order: paint order, see ManagedObject.setOrder
+ * - layer: name of the layer the object is painted in, see ManagedObject.setLayer
+ * - transform: arguments of a Transform given to setTransform (PaintableWithAnimation)
+ * Other argument values are resolved as well:
+ * - {ref: id} - the instance created for the node with that id
+ * - {asset: name, property} - an asset of the AssetManager, optionally one of its properties (e.g. img of a sprite)
+ * - {random: [min, max]} - a random number, drawn each time the node is created
+ * - {param: name, scale, offset} - a parameter given to create, optionally multiplied by scale and shifted by offset
+ * - arrays and plain objects - resolved element by element
+ */
+import * as ANIM from './animation.js';
+import { EASING, TweenAnimation } from './tween.js';
+import * as PAINTERS from './painters.js';
+import { SpriteShapes } from './collision.js';
+
+const PI_PER_DEG = Math.PI / 180;
+
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+const easingName = (easing) => {
+    return Object.keys(EASING).find((name) => EASING[name] === easing);
+};
+
+/**
+ * Component types known to a SceneLoader: type name -> {type, create, args}.
+ * "create" builds an instance from the resolved arguments (default: new type(...args)),
+ * "args" extracts the constructor arguments from an instance for serialization.
+ */
+export const DEFAULT_TYPES = {
+    SceneNode: {
+        type: ANIM.SceneNode,
+        args: (obj) => [obj.paintable, obj.position, obj.transform]
+    },
+    Transform: {
+        type: ANIM.Transform,
+        args: (obj) => [{
+                rotation: obj.rotation,
+                scaleX: obj.scaleX,
+                scaleY: obj.scaleY,
+                anchorX: obj.anchorX,
+                anchorY: obj.anchorY,
+                alpha: obj.alpha
+            }]
+    },
+    PaintableWithAnimation: {
+        type: ANIM.PaintableWithAnimation,
+        args: (obj) => [obj.paintable, obj.xyPosition]
+    },
+    XYAnimation: {
+        type: ANIM.XYAnimation,
+        args: (obj) => [obj.xAnimation, obj.yAnimation]
+    },
+    XYCorrection: {
+        type: ANIM.XYCorrection,
+        args: (obj) => [obj.xyAnimation, obj.deltaX, obj.deltaY]
+    },
+    RelativeXYAnimation: {
+        type: ANIM.RelativeXYAnimation,
+        args: (obj) => [obj.relativeXYAnimation, obj.baseXYAnimation]
+    },
+    FixValueAnimation: {
+        type: ANIM.FixValueAnimation,
+        args: (obj) => [obj.value]
+    },
+    PathAnimation2: {
+        type: ANIM.PathAnimation2,
+        args: (obj) => [obj.from, obj.to, obj.pixelPerMs]
+    },
+    ArcBaseAnmimation: {
+        type: ANIM.ArcBaseAnmimation,
+        args: (obj) => [obj.startArc / PI_PER_DEG, obj.direction, obj.arcPerMs / (obj.direction * PI_PER_DEG)]
+    },
+    CirclePathAnimation: {
+        type: ANIM.CirclePathAnimation,
+        args: (obj) => {
+            const arc = obj.arcValueFct;
+            return [obj.cos.radius, arc.startArc / PI_PER_DEG, arc.direction, arc.arcPerMs / (arc.direction * PI_PER_DEG)];
+        }
+    },
+    Vector2DAnimation: {
+        type: ANIM.Vector2DAnimation,
+        args: (obj) => [obj.direction2D, obj.pixelPerMs, obj.boundsRectangle2D, obj.boundsMode]
+    },
+    OnOffIntervalls: {
+        type: ANIM.OnOffIntervalls,
+        args: (obj) => [obj.eachMsec, obj.addedMsec - obj.eachMsec]
+    },
+    PosShake: {
+        type: ANIM.PosShake,
+        args: (obj) => [obj.onOffControl, obj.shakeValue]
+    },
+    SpriteAnimation: {
+        type: ANIM.SpriteAnimation,
+        args: (obj) => [obj.spriteDescriptor, obj.direction, obj.oneTime, obj.updateDelay, obj.alpha]
+    },
+    SpriteDescriptor: {
+        type: ANIM.SpriteDescriptor,
+        args: (obj) => {
+            const grid = [obj.img, obj.sx, obj.sy, obj.gridWidth, obj.noSprites];
+            return obj.shapes ? grid.concat([obj.shapes]) : grid;
+        }
+    },
+    SpriteShapes: {
+        type: SpriteShapes,
+        args: (obj) => [obj.frames, obj.convex]
+    },
+    ImgPainter: {
+        type: ANIM.ImgPainter,
+        args: (obj) => [obj.img, obj.width, obj.height]
+    },
+    CirclePainter: {
+        type: ANIM.CirclePainter,
+        args: (obj) => obj.position ? [obj.color, obj.radius, obj.position] : [obj.color, obj.radius]
+    },
+    RectPainter: {
+        type: PAINTERS.RectPainter,
+        args: (obj) => [obj.width, obj.height, obj.style]
+    },
+    RoundedRectPainter: {
+        type: PAINTERS.RoundedRectPainter,
+        args: (obj) => [obj.width, obj.height, obj.radius, obj.style]
+    },
+    EllipsePainter: {
+        type: PAINTERS.EllipsePainter,
+        args: (obj) => [obj.radiusX, obj.radiusY, obj.style]
+    },
+    PolylinePainter: {
+        type: PAINTERS.PolylinePainter,
+        args: (obj) => [obj.points, obj.style]
+    },
+    PolygonPainter: {
+        type: PAINTERS.PolygonPainter,
+        args: (obj) => [obj.points, obj.style]
+    },
+    LinePainter: {
+        type: PAINTERS.LinePainter,
+        args: (obj) => [obj.dx, obj.dy, obj.style]
+    },
+    TextPainter: {
+        type: PAINTERS.TextPainter,
+        args: (obj) => {
+            if (typeof obj.text === 'function') {
+                throw new Error('Only fixed texts can be serialized');
+            }
+            return [obj.text, obj.style];
+        }
+    },
+    FPSRenderer: {
+        type: ANIM.FPSRenderer,
+        args: (obj) => []
+    },
+    TweenAnimation: {
+        type: TweenAnimation,
+        //easing functions are referred to by their name in EASING
+        create: (from, to, duration, options = {}) => {
+            const easing = typeof options.easing === 'string' ? EASING[options.easing] : options.easing;
+            return new TweenAnimation(from, to, duration, Object.assign({}, options, {easing}));
+        },
+        args: (obj) => {
+            const easing = easingName(obj.easing);
+            if (easing === undefined) {
+                throw new Error('Only easing functions of EASING can be serialized');
+            }
+            return [obj.from, obj.to, obj.duration, {easing, delay: obj.delay, repeat: obj.repeat, yoyo: obj.yoyo}];
+        }
+    }
+};
+
+export class SceneLoader {
+        /**
+         * @param {AssetManager} assets - resolves {asset: name} arguments
+         * @param {Object} types - registered component types (default: DEFAULT_TYPES)
+         */
+        constructor(assets, types = DEFAULT_TYPES) {
+            this.assets = assets;
+            this.types = new Map(Object.keys(types).map((name) => [name, types[name]]));
+        }
+
+        /**
+         * Makes a component type usable in scenes, see DEFAULT_TYPES for the entry format.
+         */
+        registerType(name, entry) {
+            this.types.set(name, entry);
+            return this;
+        }
+
+        /**
+         * Builds the tree described by a node. Each call creates new instances,
+         * so a node can serve as template for many objects.
+         * @param {Object} node - node description
+         * @param {Object} params - values for {param: name} arguments
+         * @returns {Object} - the component, neither added to an ObjectManager nor initialized
+         */
+        create(node, params = {}) {
+            return this.resolve(node, {ids: new Map(), params});
+        }
+
+        /**
+         * @param {{objects: Array<Object>}} scene
+         * @returns {Array<Object>} - the top level objects, ids are shared between them
+         */
+        load(scene, params = {}) {
+            const context = {ids: new Map(), params};
+            return scene.objects.map((node) => this.resolve(node, context));
+        }
+
+        resolve(value, context) {
+            if (Array.isArray(value)) {
+                return value.map((elem) => this.resolve(elem, context));
+            }
+            if (!isPlainObject(value)) {
+                return value;
+            }
+            if (value.type !== undefined) {
+                return this.build(value, context);
+            }
+            if (value.ref !== undefined) {
+                if (!context.ids.has(value.ref)) {
+                    throw new Error('Unknown reference ' + value.ref + ', ids must be defined before they are used');
+                }
+                return context.ids.get(value.ref);
+            }
+            if (value.asset !== undefined) {
+                const asset = this.assets.get(value.asset);
+                return value.property === undefined ? asset : asset[value.property];
+            }
+            if (value.random !== undefined) {
+                const [min, max] = value.random;
+                return min + (max - min) * Math.random();
+            }
+            if (value.param !== undefined) {
+                if (!(value.param in context.params)) {
+                    throw new Error('Missing scene parameter ' + value.param);
+                }
+                const scale = value.scale === undefined ? 1 : value.scale;
+                const offset = value.offset === undefined ? 0 : value.offset;
+                return context.params[value.param] * scale + offset;
+            }
+            const result = {};
+            Object.keys(value).forEach((key) => {
+                result[key] = this.resolve(value[key], context);
+            });
+            return result;
+        }
+
+        build(node, context) {
+            const entry = this.types.get(node.type);
+            if (!entry) {
+                throw new Error('Unknown component type ' + node.type);
+            }
+            const args = this.resolve(node.args || [], context);
+            const obj = entry.create ? entry.create(...args) : new entry.type(...args);
+            if (node.id !== undefined) {
+                context.ids.set(node.id, obj);
+            }
+            if (node.order !== undefined) {
+                obj.setOrder(node.order);
+            }
+            if (node.layer !== undefined) {
+                obj.setLayer(node.layer);
+            }
+            if (node.transform !== undefined) {
+                obj.setTransform(new ANIM.Transform(this.resolve(node.transform, context)));
+            }
+            if (node.children !== undefined) {
+                node.children.forEach((child) => obj.addChild(this.resolve(child, context)));
+            }
+            return obj;
+        }
+
+        /**
+         * Dumps a tree into the node format. Instances used more than once get an id
+         * and are referenced by {ref: id} after their first occurrence.
+         * @param {Object} obj - component built from registered types
+         * @returns {Object} - node description, can be stored with JSON.stringify
+         */
+        serialize(obj) {
+            return this.dump(obj, {ids: new Map(), counts: this.countUsages(obj, new Map())});
+        }
+
+        countUsages(value, counts) {
+            if (value === null || typeof value !== 'object') {
+                return counts;
+            }
+            if (Array.isArray(value) || isPlainObject(value)) {
+                Object.keys(value).forEach((key) => this.countUsages(value[key], counts));
+                return counts;
+            }
+            const entry = this.entryOf(value);
+            if (!entry) {
+                return counts;
+            }
+            counts.set(value, (counts.get(value) || 0) + 1);
+            if (counts.get(value) === 1) {
+                this.countUsages(entry.args(value), counts);
+                this.countUsages(this.children(value), counts);
+            }
+            return counts;
+        }
+
+        dump(value, context) {
+            if (value === null || typeof value !== 'object') {
+                return value;
+            }
+            if (Array.isArray(value)) {
+                return value.map((elem) => this.dump(elem, context));
+            }
+            if (isPlainObject(value)) {
+                const result = {};
+                Object.keys(value).forEach((key) => {
+                    result[key] = this.dump(value[key], context);
+                });
+                return result;
+            }
+            if (context.ids.has(value)) {
+                return {ref: context.ids.get(value)};
+            }
+            //named assets stay references even if their type is registered, e.g. sprites of the AssetManager
+            const name = this.assets.getName(value);
+            if (name !== undefined) {
+                return {asset: name};
+            }
+            const entry = this.entryOf(value);
+            if (!entry) {
+                return this.dumpAsset(value);
+            }
+            const node = {type: this.nameOf(entry)};
+            if (context.counts.get(value) > 1) {
+                node.id = node.type + context.ids.size;
+                context.ids.set(value, node.id);
+            }
+            node.args = this.dump(entry.args(value), context);
+            if (typeof value.getOrder === 'function' && value.getOrder() !== 0) {
+                node.order = value.getOrder();
+            }
+            if (typeof value.getLayer === 'function' && value.getLayer() !== ANIM.LAYER.WORLD) {
+                node.layer = value.getLayer();
+            }
+            if (value instanceof ANIM.PaintableWithAnimation && value.transform !== null) {
+                node.transform = this.dump(DEFAULT_TYPES.Transform.args(value.transform)[0], context);
+            }
+            const children = this.children(value);
+            if (children.length > 0) {
+                node.children = this.dump(children, context);
+            }
+            return node;
+        }
+
+        dumpAsset(value) {
+            //e.g. the image of a sprite sheet
+            for (const [assetName, asset] of this.assets.assets) {
+                if (asset !== null && typeof asset === 'object') {
+                    const property = Object.keys(asset).find((key) => asset[key] === value);
+                    if (property !== undefined) {
+                        return {asset: assetName, property};
+                    }
+                }
+            }
+            throw new Error('Cannot serialize ' + value.constructor.name + ', register its type with the SceneLoader');
+        }
+
+        children(obj) {
+            return obj instanceof ANIM.SceneNode ? obj.getChildren() : [];
+        }
+
+        entryOf(obj) {
+            for (const entry of this.types.values()) {
+                if (entry.type === obj.constructor) {
+                    return entry;
+                }
+            }
+            return undefined;
+        }
+
+        nameOf(entry) {
+            for (const [name, value] of this.types) {
+                if (value === entry) {
+                    return name;
+                }
+            }
+            return undefined;
+        }
+    }
@@ -3,6 +3,16 @@
 import * as ANIM from './animation.js';
 import * as BASE from './base.js';
 import { KeyboardControl, TouchControl } from './game.js';
+import { COLLISION_GROUP, Collider, CollisionSystem } from './collision.js';
+import { SpatialGrid } from './spatialIndex.js';
+import { computeAABB } from './boundingShape.js';
+import { AssetManager } from './assets.js';
+import { GameLoop } from './gameLoop.js';
+import { SceneLoader } from './sceneLoader.js';
+import { Camera } from './camera.js';
+import { ParallaxBackground, StarTilePainter } from './parallax.js';
+import { ParticleEmitter } from './particles.js';
+import { DEBUG_LAYER, DebugOverlay } from './debugOverlay.js';
 
 (() => {
     const canvas = document.getElementById('myCanvas');
@@ -10,141 +20,262 @@ import { KeyboardControl, TouchControl } from './game.js';
 
     const SCREEN_BOUNDS = BASE.Rectangle2D(0, 0, 600, 600);
 //
+//Everything the game needs is loaded before the first frame. Sprite sheets are defined
+//by their metadata in img/meta, which also carries the collision shapes, see utils/README.md.
+    const MANIFEST = [
 //http://freegameassets.blogspot.de/
-    const asteroid1 = new ANIM.SpriteDescriptor(new Image(), 72, 72, 5, 19);
-    const asteroid3 = new ANIM.SpriteDescriptor(new Image(), 32, 32, 5, 19);
-    const asteroid4 = new ANIM.SpriteDescriptor(new Image(), 32, 32, 5, 19);
-    const explosion = new ANIM.SpriteDescriptor(new Image(), 64, 64, 10, 100);
-    const background = new Image();
+        {name: 'asteroid1', type: 'sprite', src: "img/meta/asteroid1_72x72-convex-decomposition-meta.json"},
+        {name: 'asteroid3', type: 'sprite', src: "img/meta/asteroid3_32x32-convex-decomposition-meta.json"},
+        {name: 'asteroid4', type: 'sprite', src: "img/meta/asteroid4_32x32-convex-decomposition-meta.json"},
+        {name: 'explosion', type: 'sprite', src: "img/meta/explosion01_set_64x64-meta.json"},
 //http://www.codeproject.com/Articles/677417/Shootem-Up-NET
-    const explosion2 = new ANIM.SpriteDescriptor(new Image(), 96, 96, 5, 20);
-    const ship = new Image();
-//
-    asteroid1.img.src = "img/asteroid1_72x72.png";
-    asteroid3.img.src = "img/asteroid3_32x32.png";
-    asteroid4.img.src = "img/asteroid4_32x32.png";
-    explosion.img.src = "img/explosion01_set_64x64.png";
-    explosion2.img.src = "img/explosion02_96x96.png";
-
-    background.src = "img/maxresdefault.jpg";
-    ship.src = "img/smallfighter0006.png";
+        {name: 'explosion2', type: 'sprite', src: "img/meta/explosion02_96x96-meta.json"},
+        {name: 'ship', type: 'sprite', src: "img/meta/smallfighter0006-convex-decomposition-meta.json"},
+        {name: 'background', type: 'image', src: "img/maxresdefault.jpg"},
+        {name: 'asteroidWithSatellites', type: 'json', src: "scenes/asteroid-with-satellites.json"}
+    ];
+    const assets = new AssetManager();
+    const sceneLoader = new SceneLoader(assets);
 
-    const objectManager = new ANIM.ObjectManager();
+    const objectManager = new ANIM.ObjectManager().setSpatialIndex(new SpatialGrid(128));
+    //follows the ship, the world is as large as the canvas for now, so only the shake shows
+    const camera = new Camera(SCREEN_BOUNDS.xmax, SCREEN_BOUNDS.ymax, {bounds: SCREEN_BOUNDS, smoothing: 150});
+    objectManager.setCamera(camera);
+    //the background seems far away
+    objectManager.getLayer(ANIM.LAYER.BACKGROUND).setParallax(0.3);
+    const collisionSystem = new CollisionSystem()
+            .addRule(COLLISION_GROUP.SHIP, COLLISION_GROUP.ASTEROID)
+            .addRule(COLLISION_GROUP.ASTEROID, COLLISION_GROUP.ASTEROID)
+            .setBroadPhase(objectManager);
 
     const yCoords = [];
     let dir = -1;
     //
-    //background
-    objectManager.add(
-            new ANIM.PaintableWithAnimation(
-                    new ANIM.ImgPainter(background, 1080, 1920),
-                    new ANIM.XYAnimation(
-                            new ANIM.FixValueAnimation(0),
-                            new ANIM.PathAnimation2(-1320, 0, 0.02)
-                            )
-                    ).setOrder(0)
-            );
+    //endless starfield in front of the slowly scrolling background image
+    const createBackground = () => {
+        return new ParallaxBackground(SCREEN_BOUNDS.xmax, SCREEN_BOUNDS.ymax)
+                .addLayer(new ANIM.ImgPainter(assets.get('background'), 1080, 1920), {speedY: 0.02})
+                .addLayer(new StarTilePainter(300, 300, 40, 1, 'white'), {speedY: 0.05, alpha: 0.5})
+                .addLayer(new StarTilePainter(400, 400, 15, 1.8, 'white'), {speedY: 0.12})
+                .setLayer(ANIM.LAYER.BACKGROUND);
+    };
     //ship size is x:95, y:151
     var shipControlAnimation = new ANIM.Vector2DAnimation(BASE.NULL_VECTOR2D, 0.25, BASE.Rectangle2D(-300,-600+151,300-95,0));
-    objectManager.add(
-            new ANIM.PaintableWithAnimation(
-                    new ANIM.ImgPainter(ship, 95, 151),
-                    new ANIM.XYCorrection(
-                            shipControlAnimation,300,600-151
-                    )
-            ).setOrder(100)
-    );
-    objectManager.add(
-            new ANIM.FPSRenderer().setOrder(100)
-            );
+    const createShip = () => {
+        const ship = assets.get('ship');
+        const shipObject = new ANIM.PaintableWithAnimation(
+                new ANIM.ImgPainter(ship.img, ship.sx, ship.sy),
+                new ANIM.XYCorrection(
+                        shipControlAnimation,300,600-ship.sy
+                )
+        ).setOrder(100);
+        collisionSystem.add(new Collider(shipObject, ship.shapes, COLLISION_GROUP.SHIP));
+        camera.follow(shipObject, {width: 200, height: 200});
+        return shipObject;
+    };
+    //
+    //exhaust streaming down from the engine of the ship
+    const createEngineTrail = (shipObject) => {
+        const ship = assets.get('ship');
+        return new ParticleEmitter({
+            position: shipObject,
+            offsetX: ship.sx / 2,
+            offsetY: ship.sy - 20,
+            rate: 120,
+            lifetime: [250, 500],
+            speed: [0.1, 0.2],
+            angle: Math.PI / 2,
+            spread: 0.4,
+            colors: ['#ffffff', '#ffd040', '#ff4000'],
+            size: [6, 1],
+            alpha: [0.8, 0],
+            additive: true
+        }).setOrder(90);
+    };
+    //
+    //sparks and debris of an asteroid hit by the ship
+    const createDebris = () => {
+        return new ParticleEmitter({
+            maxParticles: 80,
+            burst: 80,
+            lifetime: [300, 900],
+            speed: [0.05, 0.25],
+            drag: 0.002,
+            gravity: {x: 0, y: 0.0002},
+            colors: ['#ffffff', '#ffa020', '#604030'],
+            size: [4, 1],
+            alpha: [1, 0],
+            additive: true
+        }).setLayer(ANIM.LAYER.EFFECTS).on(ANIM.EVENT_TYPES.ANIMATION_END, (eventType, event, target) => target.remove());
+    };
+    //
+    //Asteroids and explosions are spawned from pools of their type. A removed object
+    //goes back into its pool and is reused by a later spawn, init() resets it.
+    const OBJECT_TYPE = {
+        ASTEROID_WITH_SATELLITES: 'asteroidWithSatellites',
+        ASTEROID3: 'asteroid3',
+        ASTEROID4: 'asteroid4',
+        EXPLOSION: 'explosion',
+        EXPLOSION2: 'explosion2',
+        //the explosion of an asteroid hit by the ship
+        HIT: 'hit',
+        DEBRIS: 'debris'
+    };
+    //the colliders are dropped by the CollisionSystem when their object is removed
+    const colliders = new WeakMap();
+
+    const typeOf = (idx) => {
+        if (idx >= 1 && idx < 24) {
+            return OBJECT_TYPE.ASTEROID_WITH_SATELLITES;
+        } else if (idx >= 24 && idx < 48) {
+            return OBJECT_TYPE.ASTEROID3;
+        } else if (idx >= 48 && idx < 72) {
+            return OBJECT_TYPE.ASTEROID4;
+        } else if (idx >= 72 && idx < 108) {
+            return OBJECT_TYPE.EXPLOSION;
+        }
+        return OBJECT_TYPE.EXPLOSION2;
+    };
+
+    const spawnObject = (type) => {
+        return objectManager.spawn(type, (obj) => {
+            //a new start position for reused objects as well
+            if (type === OBJECT_TYPE.ASTEROID_WITH_SATELLITES) {
+                obj.position.xAnimation.setPos(36 + Math.random() * (SCREEN_BOUNDS.xmax - 80));
+            } else {
+                obj.xyPosition.xAnimation.setPos(Math.random() * (SCREEN_BOUNDS.xmax - 80));
+            }
+            if (colliders.has(obj)) {
+                collisionSystem.add(colliders.get(obj));
+            }
+        });
+    };
+
     //
-    //A Listener which listens to OFF_SCREEN events
-    const listener = {
-        eventType: ANIM.EVENT_TYPES.OFF_SCREEN,
-        listen: (eventType, event) => {
-            //console.log("listener remove: "+event.getRoot().toString());
-            event.getRoot().remove();
-            const idx = Math.floor(Math.random() * 120);
-            dir = dir - 2 * dir;
-            const composite = createObject(idx, dir);
-            composite.init();
-            objectManager.add(composite);
-            objectManager.commit();
+    //Replaces an object that left the screen or whose one time animation has ended.
+    //The events bubble up from the animations to the top level object the handler is registered on.
+    const respawn = (eventType, event, target) => {
+        if (target.getState() === ANIM.STATE.UNMANAGED_PENDING) {
+            //path and sprite may both end in the same update
+            return;
         }
+        //both take effect with the commit the GameLoop does after the update
+        target.remove();
+        spawnObject(typeOf(Math.floor(Math.random() * 120)));
     };
 
-    const createObject = (idx, dir) => {
+    //
+    //The ship destroys asteroids it hits. Contacts between asteroids are reported
+    //as well, but have no effect yet.
+    collisionSystem.on(ANIM.EVENT_TYPES.COLLISION, (eventType, event) => {
+        if (event.a.group === COLLISION_GROUP.SHIP) {
+            const asteroid = event.b.target;
+            const box = computeAABB(asteroid.getBoundingPolygon());
+            const explosion2 = assets.get('explosion2');
+            asteroid.getRoot().remove();
+            camera.addTrauma(0.6);
+            objectManager.spawn(OBJECT_TYPE.DEBRIS, (debris) => {
+                debris.setPosition(new ANIM.XYAnimation(
+                        new ANIM.FixValueAnimation((box.xmin + box.xmax) / 2),
+                        new ANIM.FixValueAnimation((box.ymin + box.ymax) / 2)));
+            });
+            objectManager.spawn(OBJECT_TYPE.HIT, (explosion) => {
+                explosion.xyPosition.xAnimation.setPos((box.xmin + box.xmax - explosion2.sx) / 2);
+                explosion.xyPosition.yAnimation.setPos((box.ymin + box.ymax - explosion2.sy) / 2);
+            });
+        }
+    });
+
+    const createExplosion = () => {
+        return new ANIM.PaintableWithAnimation(
+                new ANIM.SpriteAnimation(assets.get('explosion2'), 1, true, 50, 0.7),
+                new ANIM.XYAnimation(new ANIM.FixValueAnimation(0), new ANIM.FixValueAnimation(0))
+                ).setLayer(ANIM.LAYER.EFFECTS).on(ANIM.EVENT_TYPES.ANIMATION_END, respawn);
+    };
+
+    const createObject = (type, dir) => {
+        if (type === OBJECT_TYPE.ASTEROID_WITH_SATELLITES) {
+            return createAsteroidWithSatellites(dir);
+        }
         //
-        const xAnimation = new ANIM.FixValueAnimation(Math.random() * (SCREEN_BOUNDS.xmax - 80));
-        const yAnimation = new ANIM.PathAnimation2(-72, SCREEN_BOUNDS.ymax, 0.05 + 0.1 * Math.random()).addListener(listener);
+        const xAnimation = new ANIM.FixValueAnimation(0);
+        const yAnimation = new ANIM.PathAnimation2(-72, SCREEN_BOUNDS.ymax, 0.05 + 0.1 * Math.random());
         const xyBaseAnimation = new ANIM.XYAnimation(xAnimation, yAnimation);
 
         let spriteAnimation;
         //
-        if (idx >= 1 && idx < 24) {
-            spriteAnimation = new ANIM.SpriteAnimation(asteroid1, dir, false, 50 + 150 * Math.random(), 1);
-        } else if (idx >= 24 && idx < 48) {
-            spriteAnimation = new ANIM.SpriteAnimation(asteroid3, dir, false, 50 + 150 * Math.random(), 1);
-        } else if (idx >= 48 && idx < 72) {
-            spriteAnimation = new ANIM.SpriteAnimation(asteroid4, dir, false, 50 + 150 * Math.random(), 1);
-        } else if (idx >= 72 && idx < 108) {
-            spriteAnimation = new ANIM.SpriteAnimation(explosion, 1, true, 15 + 35 * Math.random(), 0.5).addListener(listener);
+        if (type === OBJECT_TYPE.ASTEROID3) {
+            spriteAnimation = new ANIM.SpriteAnimation(assets.get('asteroid3'), dir, false, 50 + 150 * Math.random(), 1);
+        } else if (type === OBJECT_TYPE.ASTEROID4) {
+            spriteAnimation = new ANIM.SpriteAnimation(assets.get('asteroid4'), dir, false, 50 + 150 * Math.random(), 1);
+        } else if (type === OBJECT_TYPE.EXPLOSION) {
+            spriteAnimation = new ANIM.SpriteAnimation(assets.get('explosion'), 1, true, 15 + 35 * Math.random(), 0.5);
         } else {
-            spriteAnimation = new ANIM.SpriteAnimation(explosion2, 1, true, 50 + 150 * Math.random(), 0.7).addListener(listener);
+            spriteAnimation = new ANIM.SpriteAnimation(assets.get('explosion2'), 1, true, 50 + 150 * Math.random(), 0.7);
         }
 
         const compositeMain = new ANIM.PaintableWithAnimation(
                 spriteAnimation,
                 xyBaseAnimation
                 );
-
-        if (idx >= 1 && idx < 24) {
-            //build two circling satellites around a asteroid
-            const speed = 0.05 + 0.1 * Math.random();
-            const circleAnimation1 = new ANIM.CirclePathAnimation(65, 0, dir, speed);
-            const circleAnimation2 = new ANIM.CirclePathAnimation(65, 180, dir, speed);
-            //not quite sure why the XYCorrection parameters have to be 16,16 here? it should be 36,36????
-            const relativeXYAnimation1 = new ANIM.XYCorrection(new ANIM.RelativeXYAnimation(xyBaseAnimation, circleAnimation1), 16, 16);
-            const relativeXYAnimation2 = new ANIM.XYCorrection(new ANIM.RelativeXYAnimation(xyBaseAnimation, circleAnimation2), 16, 16);
-            const circlePainter = new ANIM.CirclePainter(8, 65, new ANIM.XYCorrection(xyBaseAnimation, 36, 36));
-            //
-            //now it gets funky - let's build a circeling satelite around a sattelite
-            const circleAnimation1_1 = new ANIM.CirclePathAnimation(32, 180, dir - 2 * dir, speed + 0.06);
-            const relativeXYAnimation1_1 = new ANIM.RelativeXYAnimation(relativeXYAnimation1, circleAnimation1_1);
-            const circlePainter1_1 = new ANIM.CirclePainter(8, 32, new ANIM.XYCorrection(relativeXYAnimation1, 16, 16));
-            //
-            // make the satellite of the satellite shake from time to time (controlled by an OnOffIntervall)
-            const onOffIntervall = new ANIM.OnOffIntervalls(2000, 400);
-            const yShaker = new ANIM.PosShake(onOffIntervall, 2);
-            const xShaker = new ANIM.PosShake(onOffIntervall, -2);
-            const shakerAnimation = new ANIM.XYAnimation(xShaker, yShaker);
-            const relativeXYAnimation1_2 = new ANIM.RelativeXYAnimation(shakerAnimation, relativeXYAnimation1_1);
-            //
-            const satelliteAnimation = new ANIM.SpriteAnimation(asteroid3, dir, false, 50 + 150 * Math.random(), 1);
-            const compositeSub1 = new ANIM.PaintableWithAnimation(satelliteAnimation, relativeXYAnimation1);
-            const compositeSub2 = new ANIM.PaintableWithAnimation(satelliteAnimation, relativeXYAnimation2);
-            const compositeSub1_1 = new ANIM.PaintableWithAnimation(satelliteAnimation, relativeXYAnimation1_2);
-            return new ANIM.PaintableWithStateIndicator(
-                    new ANIM.PaintableCombination(
-                            [compositeMain,
-                                circlePainter,
-                                compositeSub2,
-                                compositeSub1,
-                                circlePainter1_1,
-                                compositeSub1_1]), yAnimation);
-        } else {
-            return compositeMain;
+        if (type === OBJECT_TYPE.ASTEROID3 || type === OBJECT_TYPE.ASTEROID4) {
+            colliders.set(compositeMain, new Collider(compositeMain, null, COLLISION_GROUP.ASTEROID));
         }
+        return compositeMain
+                .setLayer(type === OBJECT_TYPE.EXPLOSION || type === OBJECT_TYPE.EXPLOSION2 ? ANIM.LAYER.EFFECTS : ANIM.LAYER.WORLD)
+                .setOrder(50)
+                .on(ANIM.EVENT_TYPES.OFF_SCREEN, respawn)
+                .on(ANIM.EVENT_TYPES.ANIMATION_END, respawn);
     };
 
-    for (let i = 1; i < 10; i++) {
-        objectManager.add(createObject(i, dir).setOrder(50));
-        dir = dir - 2 * dir;
-    }
-    objectManager.commit();
-    objectManager.getAnimations().forEach((elem) => {
-        elem.init();
-    });
+    //
+    //An asteroid with satellites circling around it, see scenes/asteroid-with-satellites.json
+    const createAsteroidWithSatellites = (dir) => {
+        const asteroid = sceneLoader.create(assets.get('asteroidWithSatellites'), {
+            dir,
+            speed: 0.05 + 0.1 * Math.random(),
+            screenHeight: SCREEN_BOUNDS.ymax
+        });
+        colliders.set(asteroid, new Collider(asteroid, null, COLLISION_GROUP.ASTEROID));
+        return asteroid.setOrder(50).on(ANIM.EVENT_TYPES.OFF_SCREEN, respawn);
+    };
+
+    const createPools = () => {
+        Object.keys(OBJECT_TYPE).forEach((key) => {
+            const type = OBJECT_TYPE[key];
+            objectManager.createPool(type, () => {
+                if (type === OBJECT_TYPE.HIT) {
+                    return createExplosion();
+                } else if (type === OBJECT_TYPE.DEBRIS) {
+                    return createDebris();
+                }
+                //alternate the spin of new asteroids
+                dir = dir - 2 * dir;
+                return createObject(type, dir);
+            });
+        });
+    };
+
+    const createInitialObjects = () => {
+        const shipObject = createShip();
+        const fixedObjects = [
+            createBackground(),
+            shipObject,
+            createEngineTrail(shipObject),
+            new ANIM.FPSRenderer().setLayer(ANIM.LAYER.HUD),
+            new DebugOverlay(objectManager, collisionSystem).setLayer(DEBUG_LAYER)
+        ];
+        fixedObjects.forEach((elem) => {
+            objectManager.add(elem);
+            elem.init();
+        });
+        camera.init();
+        createPools();
+        for (let i = 1; i < 10; i++) {
+            spawnObject(typeOf(i));
+        }
+        objectManager.commit();
+    };
     const keyboardControl = new KeyboardControl(37, 38, 39, 40);
     keyboardControl.activate(canvas, (o, n) => {
         if (o !== n) {
@@ -177,67 +308,45 @@ import { KeyboardControl, TouchControl } from './game.js';
         if (animationToggle === 1) {
             elem.innerHTML = "Stop Animation";
             objectManager.resume();
-            window.requestAnimationFrame(anim, canvas);
         } else {
+            //the loop keeps painting, only the game time stands still
             objectManager.pause();
             elem.innerHTML = "Start Animation";
-
         }
     };
     document.getElementById("toggleAnimation").onclick = toggleAnimation;
 
     //==========================================================================
-    // Run everything now
+    //Setup the debug overlay, it only works while its layer is visible
     //
-    let lastTime = performance.now();
-    const anim = (current) => {
-        const myCurrent = performance.now();
-        const delta = current - lastTime;
-        lastTime = myCurrent;
-        //context.clearRect(0, 0, canvas.width, canvas.height);
-        objectManager.getAnimations().forEach((elem) => {
-            const retState = elem.update(myCurrent);
-            if (retState && retState === ANIM.STATE.INACTIVE_PENDING) {
-                //console.log("loop remove: "+elem.getRoot().toString());
-                objectManager.remove(elem.getRoot());
-            }
-        });
-        objectManager.getAnimations().forEach((elem) => {
-            elem.paint(context);
-        });
-        objectManager.commit();
-        if (animationToggle === 1) {
-            //triggerAnimationFrame();
-            triggerAnimationFrameWithTimeOut();
-            //window.requestAnimationFrame(anim, canvas);
-        }
+    objectManager.addLayer(DEBUG_LAYER, {order: 250, visible: false});
+    const toggleDebug = (event) => {
+        const layer = objectManager.getLayer(DEBUG_LAYER);
+        layer.setVisible(!layer.isVisible());
+        document.getElementById("toggleDebug").innerHTML = layer.isVisible() ? "Hide Debug" : "Show Debug";
     };
-    //Frames per second control
+    document.getElementById("toggleDebug").onclick = toggleDebug;
+
+    //==========================================================================
+    // Run everything now
     //
-    let lastTrigger = Date.now();
-    //let accumulatedDelay = 0;
-    const fps = 65; //use 15, 30, 65
-    const timeOutDelay = 6;
-    const twoThirds = 2 * timeOutDelay / 3;
-    let accumulatedDelay = twoThirds; //empirical start value, it makes accumulatedDelay reach faster frsPerSecondDelay
-    const frsPerSecondDelay = 1000 / fps; //60 frames per second
-    const triggerAnimationFrameWithTimeOut = () => {
-        const current = Date.now();
-        const delay = (current - lastTrigger); // allready elapsed time
-        accumulatedDelay += delay;
-        if (accumulatedDelay >= frsPerSecondDelay) {
-            triggerAnimationFrame();
-            accumulatedDelay = twoThirds;
-        } else {
-            setTimeout(triggerAnimationFrameWithTimeOut, timeOutDelay);
-        }
-        lastTrigger = current;
-    };
+    const gameLoop = new GameLoop(objectManager, context, {
+        step: 1000 / 60,
+        //the spatial index is up to date right after the commit
+        onUpdate: () => collisionSystem.detect()
+    });
 
-    const triggerAnimationFrame = () => {
-        window.requestAnimationFrame(anim, canvas);
+    const paintProgress = (loaded, total) => {
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.font = '20pt Calibri';
+        context.fillStyle = 'red';
+        context.fillText("Loading " + Math.round(100 * loaded / total) + "%", 50, 50);
     };
-
-    //triggerAnimationFrame();
-    triggerAnimationFrameWithTimeOut();
+    assets.load(MANIFEST, paintProgress).then(() => {
+        createInitialObjects();
+        gameLoop.start();
+    }, (error) => {
+        console.error(error);
+        context.fillText(error.message, 50, 100);
+    });
 })();
@@ -0,0 +1,158 @@
+/*
+ * Spatial index module - ES6 version
+ *
+ * Broad phase for collision and proximity queries: a uniform grid that maps
+ * the AABB of each object to the cells it covers.
+ */
+import { aabbOverlap } from './boundingShape.js';
+
+/**
+ * Uniform grid. Pick a cell size close to the size of the typical object,
+ * objects larger than a cell are registered in every cell they touch.
+ */
+export class SpatialGrid {
+        constructor(cellSize) {
+            this.cellSize = cellSize;
+            //cell key -> array of entries
+            this.cells = new Map();
+            //object -> {id, object, aabb, cx0, cy0, cx1, cy1}
+            this.entries = new Map();
+            this.counter = 0;
+        }
+
+        has(object) {
+            return this.entries.has(object);
+        }
+
+        getAABB(object) {
+            const entry = this.entries.get(object);
+            return entry ? entry.aabb : undefined;
+        }
+
+        size() {
+            return this.entries.size;
+        }
+
+        /**
+         * Inserts the object or moves it to the cells covered by the new AABB.
+         * @param {Object} object - any object
+         * @param {{xmin: number, ymin: number, xmax: number, ymax: number}} aabb
+         */
+        update(object, aabb) {
+            const cs = this.cellSize;
+            const cx0 = Math.floor(aabb.xmin / cs);
+            const cy0 = Math.floor(aabb.ymin / cs);
+            const cx1 = Math.floor(aabb.xmax / cs);
+            const cy1 = Math.floor(aabb.ymax / cs);
+            let entry = this.entries.get(object);
+            if (entry) {
+                entry.aabb = aabb;
+                if (entry.cx0 === cx0 && entry.cy0 === cy0 && entry.cx1 === cx1 && entry.cy1 === cy1) {
+                    //still covers the same cells
+                    return;
+                }
+                this.unlink(entry);
+            } else {
+                entry = {id: this.counter++, object, aabb};
+                this.entries.set(object, entry);
+            }
+            entry.cx0 = cx0;
+            entry.cy0 = cy0;
+            entry.cx1 = cx1;
+            entry.cy1 = cy1;
+            for (let cx = cx0; cx <= cx1; cx++) {
+                for (let cy = cy0; cy <= cy1; cy++) {
+                    const key = cx + ',' + cy;
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = [];
+                        this.cells.set(key, cell);
+                    }
+                    cell.push(entry);
+                }
+            }
+        }
+
+        remove(object) {
+            const entry = this.entries.get(object);
+            if (entry) {
+                this.unlink(entry);
+                this.entries.delete(object);
+            }
+        }
+
+        clear() {
+            this.cells.clear();
+            this.entries.clear();
+        }
+
+        unlink(entry) {
+            for (let cx = entry.cx0; cx <= entry.cx1; cx++) {
+                for (let cy = entry.cy0; cy <= entry.cy1; cy++) {
+                    const key = cx + ',' + cy;
+                    const cell = this.cells.get(key);
+                    const idx = cell.indexOf(entry);
+                    //swap remove, order inside a cell doesn't matter
+                    cell[idx] = cell[cell.length - 1];
+                    cell.pop();
+                    if (cell.length === 0) {
+                        this.cells.delete(key);
+                    }
+                }
+            }
+        }
+
+        /**
+         * @param {{xmin: number, ymin: number, xmax: number, ymax: number}} rect
+         * @returns {Array<Object>} - all objects whose AABB overlaps rect
+         */
+        query(rect) {
+            const cs = this.cellSize;
+            const result = [];
+            const seen = new Set();
+            const cx1 = Math.floor(rect.xmax / cs);
+            const cy1 = Math.floor(rect.ymax / cs);
+            for (let cx = Math.floor(rect.xmin / cs); cx <= cx1; cx++) {
+                for (let cy = Math.floor(rect.ymin / cs); cy <= cy1; cy++) {
+                    const cell = this.cells.get(cx + ',' + cy);
+                    if (!cell) {
+                        continue;
+                    }
+                    for (let i = 0; i < cell.length; i++) {
+                        const entry = cell[i];
+                        if (!seen.has(entry) && aabbOverlap(entry.aabb, rect)) {
+                            seen.add(entry);
+                            result.push(entry.object);
+                        }
+                    }
+                }
+            }
+            return result;
+        }
+
+        /**
+         * @returns {Array<Array<Object>>} - pairs [a, b] of objects with overlapping AABBs, each pair reported once
+         */
+        queryPairs() {
+            const result = [];
+            const seen = new Set();
+            this.cells.forEach((cell) => {
+                const len = cell.length;
+                for (let i = 0; i < len; i++) {
+                    for (let j = i + 1; j < len; j++) {
+                        const a = cell[i];
+                        const b = cell[j];
+                        const key = a.id < b.id ? a.id + ':' + b.id : b.id + ':' + a.id;
+                        if (seen.has(key)) {
+                            continue;
+                        }
+                        seen.add(key);
+                        if (aabbOverlap(a.aabb, b.aabb)) {
+                            result.push([a.object, b.object]);
+                        }
+                    }
+                }
+            });
+            return result;
+        }
+    }
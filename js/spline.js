@@ -0,0 +1,265 @@
+/*
+ * Spline module - ES6 version
+ *
+ * Bezier and Catmull-Rom curves and path animations which move along them at
+ * constant speed. The curve parameter t does not advance uniformly along a
+ * curve, so the animations look it up in an arc length table.
+ */
+import { AnimationComponent, EVENT_TYPES } from './animation.js';
+import { Vector2D } from './base.js';
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+export const quadraticBezierPoint = (p0, p1, p2, t) => {
+    const u = 1 - t;
+    return Vector2D(
+            u * u * p0.x + 2 * u * t * p1.x + t * t * p2.x,
+            u * u * p0.y + 2 * u * t * p1.y + t * t * p2.y);
+};
+
+export const quadraticBezierTangent = (p0, p1, p2, t) => {
+    const u = 1 - t;
+    return Vector2D(
+            2 * u * (p1.x - p0.x) + 2 * t * (p2.x - p1.x),
+            2 * u * (p1.y - p0.y) + 2 * t * (p2.y - p1.y));
+};
+
+export const cubicBezierPoint = (p0, p1, p2, p3, t) => {
+    const u = 1 - t;
+    const b0 = u * u * u;
+    const b1 = 3 * u * u * t;
+    const b2 = 3 * u * t * t;
+    const b3 = t * t * t;
+    return Vector2D(
+            b0 * p0.x + b1 * p1.x + b2 * p2.x + b3 * p3.x,
+            b0 * p0.y + b1 * p1.y + b2 * p2.y + b3 * p3.y);
+};
+
+export const cubicBezierTangent = (p0, p1, p2, p3, t) => {
+    const u = 1 - t;
+    const d0 = 3 * u * u;
+    const d1 = 6 * u * t;
+    const d2 = 3 * t * t;
+    return Vector2D(
+            d0 * (p1.x - p0.x) + d1 * (p2.x - p1.x) + d2 * (p3.x - p2.x),
+            d0 * (p1.y - p0.y) + d1 * (p2.y - p1.y) + d2 * (p3.y - p2.y));
+};
+
+/**
+ * Point of the uniform Catmull-Rom segment running from p1 to p2.
+ */
+export const catmullRomPoint = (p0, p1, p2, p3, t) => {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const value = (a, b, c, d) => 0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+    return Vector2D(value(p0.x, p1.x, p2.x, p3.x), value(p0.y, p1.y, p2.y, p3.y));
+};
+
+export const catmullRomTangent = (p0, p1, p2, p3, t) => {
+    const t2 = t * t;
+    const value = (a, b, c, d) => 0.5 * ((c - a) + 2 * (2 * a - 5 * b + 4 * c - d) * t + 3 * (3 * b - a - 3 * c + d) * t2);
+    return Vector2D(value(p0.x, p1.x, p2.x, p3.x), value(p0.y, p1.y, p2.y, p3.y));
+};
+
+/**
+ * Quadratic (3 points) or cubic (4 points) Bezier curve, t runs from 0 to 1.
+ */
+export class BezierCurve {
+        constructor(points) {
+            if (points.length !== 3 && points.length !== 4) {
+                throw new Error('A bezier curve needs 3 or 4 points, got ' + points.length);
+            }
+            this.points = points;
+        }
+
+        pointAt(t) {
+            const p = this.points;
+            return p.length === 3 ? quadraticBezierPoint(p[0], p[1], p[2], t) : cubicBezierPoint(p[0], p[1], p[2], p[3], t);
+        }
+
+        tangentAt(t) {
+            const p = this.points;
+            return p.length === 3 ? quadraticBezierTangent(p[0], p[1], p[2], t) : cubicBezierTangent(p[0], p[1], p[2], p[3], t);
+        }
+    }
+
+/**
+ * Catmull-Rom spline through all points, t runs from 0 to 1 over all segments.
+ * An open spline starts at the first and ends at the last point, a closed one
+ * continues from the last point back to the first.
+ */
+export class CatmullRomCurve {
+        constructor(points, closed = false) {
+            if (points.length < 2) {
+                throw new Error('A catmull-rom spline needs at least 2 points, got ' + points.length);
+            }
+            this.points = points;
+            this.closed = closed;
+            this.segments = closed ? points.length : points.length - 1;
+        }
+
+        /**
+         * @returns {Array} - [segment points p0..p3, local t]
+         */
+        locate(t) {
+            const scaled = Math.min(Math.max(t, 0), 1) * this.segments;
+            const segment = Math.min(Math.floor(scaled), this.segments - 1);
+            const n = this.points.length;
+            const at = (i) => {
+                if (this.closed) {
+                    return this.points[(i + n) % n];
+                }
+                //the end points are repeated for the open ends
+                return this.points[Math.min(Math.max(i, 0), n - 1)];
+            };
+            return [at(segment - 1), at(segment), at(segment + 1), at(segment + 2), scaled - segment];
+        }
+
+        pointAt(t) {
+            const [p0, p1, p2, p3, local] = this.locate(t);
+            return catmullRomPoint(p0, p1, p2, p3, local);
+        }
+
+        tangentAt(t) {
+            const [p0, p1, p2, p3, local] = this.locate(t);
+            return catmullRomTangent(p0, p1, p2, p3, local);
+        }
+    }
+
+/**
+ * Maps the distance travelled along a curve to the curve parameter t, sampled
+ * once in the constructor. More samples mean more even speed on tight curves.
+ */
+export class ArcLengthTable {
+        constructor(curve, samples = 100) {
+            this.samples = samples;
+            //lengths[i] is the distance from t = 0 to t = i / samples
+            this.lengths = new Float64Array(samples + 1);
+            let previous = curve.pointAt(0);
+            for (let i = 1; i <= samples; i++) {
+                const point = curve.pointAt(i / samples);
+                this.lengths[i] = this.lengths[i - 1] + Math.hypot(point.x - previous.x, point.y - previous.y);
+                previous = point;
+            }
+        }
+
+        getLength() {
+            return this.lengths[this.samples];
+        }
+
+        parameterAt(distance) {
+            const lengths = this.lengths;
+            if (distance <= 0) {
+                return 0;
+            }
+            if (distance >= this.getLength()) {
+                return 1;
+            }
+            //binary search for the last sample not beyond distance
+            let lo = 0;
+            let hi = this.samples;
+            while (hi - lo > 1) {
+                const mid = (lo + hi) >> 1;
+                if (lengths[mid] <= distance) {
+                    lo = mid;
+                } else {
+                    hi = mid;
+                }
+            }
+            const span = lengths[hi] - lengths[lo];
+            const fraction = span > 0 ? (distance - lengths[lo]) / span : 0;
+            return lerp(lo, hi, fraction) / this.samples;
+        }
+    }
+
+/**
+ * XY provider moving along a curve (BezierCurve, CatmullRomCurve) with "pixelPerMs".
+ * Use it like any other XY animation, e.g. inside a RelativeXYAnimation or XYCorrection.
+ * Without loop it stops at the end of the curve and fires ANIMATION_END.
+ */
+export class SplinePathAnimation extends AnimationComponent {
+        constructor(curve, pixelPerMs, loop = false, samples = 100) {
+            super();
+            this.curve = curve;
+            this.table = new ArcLengthTable(curve, samples);
+            this.pixelPerMs = pixelPerMs;
+            this.loop = loop;
+            this.distance = 0;
+            this.finished = false;
+            this.moveTo(0);
+        }
+
+        init() {
+            this.distance = 0;
+            this.finished = false;
+            this.moveTo(0);
+            return super.init();
+        }
+
+        update(current) {
+            if (!this.finished) {
+                const length = this.table.getLength();
+                this.distance += (current - this.lastUpdateTime) * this.pixelPerMs;
+                if (this.distance >= length) {
+                    if (this.loop && length > 0) {
+                        this.distance = this.distance % length;
+                    } else {
+                        this.distance = length;
+                        this.finished = true;
+                    }
+                }
+                this.moveTo(this.distance);
+                if (this.finished) {
+                    this.fire(EVENT_TYPES.ANIMATION_END, this);
+                }
+            }
+            return super.update(current);
+        }
+
+        moveTo(distance) {
+            this.t = this.table.parameterAt(distance);
+            this.point = this.curve.pointAt(this.t);
+        }
+
+        isFinished() {
+            return this.finished;
+        }
+
+        getLength() {
+            return this.table.getLength();
+        }
+
+        getX() {
+            return this.point.x;
+        }
+
+        getY() {
+            return this.point.y;
+        }
+
+        /**
+         * @returns {number} - direction of travel in radians, 0 points along the x axis
+         */
+        getAngle() {
+            const tangent = this.curve.tangentAt(this.t);
+            return Math.atan2(tangent.y, tangent.x);
+        }
+    }
+
+/**
+ * Moves along a quadratic (3 points) or cubic (4 points) Bezier curve at constant speed.
+ */
+export class BezierPathAnimation extends SplinePathAnimation {
+        constructor(points, pixelPerMs, loop = false) {
+            super(new BezierCurve(points), pixelPerMs, loop);
+        }
+    }
+
+/**
+ * Moves through all points on a Catmull-Rom spline at constant speed.
+ */
+export class CatmullRomPathAnimation extends SplinePathAnimation {
+        constructor(points, pixelPerMs, loop = false, closed = loop) {
+            super(new CatmullRomCurve(points, closed), pixelPerMs, loop, 50 * points.length);
+        }
+    }
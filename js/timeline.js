@@ -0,0 +1,256 @@
+/*
+ * Timeline module - ES6 version
+ *
+ * Keyframe animation of several properties at once. Each property has its own
+ * track of keyframes, e.g. "at 0ms alpha 0, at 500ms alpha 1, at 1200ms frame 0".
+ */
+import { AnimationComponent, EVENT_TYPES } from './animation.js';
+
+/**
+ * How a track gets to a keyframe from the previous one. Besides these, any
+ * easing function (see EASING in tween.js) can be used, it eases a linear interpolation.
+ */
+export const INTERPOLATION = {
+    //hold the previous value, jump at the keyframe
+    STEP: 'step',
+    LINEAR: 'linear'
+};
+
+const interpolate = (from, to, t, interpolation) => {
+    if (interpolation === INTERPOLATION.STEP) {
+        return t < 1 ? from.value : to.value;
+    }
+    const eased = typeof interpolation === 'function' ? interpolation(t) : t;
+    return from.value + (to.value - from.value) * eased;
+};
+
+const byTime = (a, b) => a.time - b.time;
+
+/**
+ * Keyframe animation of named properties (e.g. x, y, rotation, alpha, frame).
+ * getX/getY make it usable as position of a PaintableWithAnimation or SceneNode,
+ * channel(property) feeds any other consumer of getValue() like Transform or
+ * SpriteAnimation.setFrameSource.
+ * Fires KEYFRAME with {source, property, name, time, value} for every keyframe and
+ * marker that is passed and ANIMATION_END when a timeline without loop reaches its end.
+ */
+export class Timeline extends AnimationComponent {
+        /**
+         * @param {Object} options
+         * @param {boolean} options.loop - start over at the end (default: false)
+         * @param {number} options.rate - play rate, 2 is double speed, negative values play backwards (default: 1)
+         */
+        constructor(options = {}) {
+            super();
+            this.loop = options.loop === true;
+            this.rate = options.rate === undefined ? 1 : options.rate;
+            //property -> keyframes {time, value, interpolation} sorted by time
+            this.tracks = new Map();
+            //{time, name}
+            this.markers = [];
+            //label -> time
+            this.labels = new Map();
+            this.duration = 0;
+            this.time = 0;
+            this.values = new Map();
+            this.finished = false;
+            //keyframes at the start position are passed with the first update
+            this.passStart = true;
+        }
+
+        /**
+         * @param {string} property - name of the track
+         * @param {number} time - ms from the start of the timeline
+         * @param {number} value
+         * @param {string|Function} interpolation - how to get here from the previous keyframe,
+         *                                          INTERPOLATION or an easing function (default: linear)
+         */
+        addKeyframe(property, time, value, interpolation = INTERPOLATION.LINEAR) {
+            if (!this.tracks.has(property)) {
+                this.tracks.set(property, []);
+            }
+            const track = this.tracks.get(property);
+            track.push({time, value, interpolation});
+            track.sort(byTime);
+            this.duration = Math.max(this.duration, time);
+            this.evaluate();
+            return this;
+        }
+
+        /**
+         * Fires a KEYFRAME event with the given name when "time" is passed.
+         */
+        addMarker(time, name) {
+            this.markers.push({time, name});
+            this.markers.sort(byTime);
+            this.duration = Math.max(this.duration, time);
+            return this;
+        }
+
+        /**
+         * Names a position for seek.
+         */
+        addLabel(name, time) {
+            this.labels.set(name, time);
+            return this;
+        }
+
+        init() {
+            this.time = this.rate < 0 ? this.duration : 0;
+            this.finished = false;
+            this.passStart = true;
+            this.evaluate();
+            return super.init();
+        }
+
+        update(current) {
+            if (!this.finished) {
+                this.advance((current - this.lastUpdateTime) * this.rate);
+            }
+            return super.update(current);
+        }
+
+        /**
+         * Moves the play position by "delta" ms of timeline time and fires the events on the way.
+         */
+        advance(delta) {
+            const from = this.time;
+            let to = from + delta;
+            const includeFrom = this.passStart;
+            this.passStart = false;
+            if (to > this.duration || to < 0) {
+                const end = to > this.duration ? this.duration : 0;
+                this.passEvents(from, end, includeFrom);
+                if (this.loop && this.duration > 0) {
+                    //continue on the other side, a long frame passes the events of every loop it skips
+                    const start = this.duration - end;
+                    for (let loops = Math.floor(Math.abs(to - end) / this.duration); loops > 0; loops--) {
+                        this.passEvents(start, end, true);
+                    }
+                    to = start + (to - end) % this.duration;
+                    this.passEvents(start, to, true);
+                } else {
+                    to = end;
+                    this.finished = true;
+                }
+            } else {
+                this.passEvents(from, to, includeFrom);
+            }
+            this.time = to;
+            this.evaluate();
+            if (this.finished) {
+                this.fire(EVENT_TYPES.ANIMATION_END, this);
+            }
+        }
+
+        /**
+         * Fires KEYFRAME for all keyframes and markers between "from" (only if includeFrom) and "to".
+         */
+        passEvents(from, to, includeFrom) {
+            const lo = Math.min(from, to);
+            const hi = Math.max(from, to);
+            const passed = (time) => {
+                if (time === from) {
+                    return includeFrom;
+                }
+                return time >= lo && time <= hi;
+            };
+            const events = [];
+            this.tracks.forEach((track, property) => {
+                track.forEach((keyframe) => {
+                    if (passed(keyframe.time)) {
+                        events.push({source: this, property, name: null, time: keyframe.time, value: keyframe.value});
+                    }
+                });
+            });
+            this.markers.forEach((marker) => {
+                if (passed(marker.time)) {
+                    events.push({source: this, property: null, name: marker.name, time: marker.time, value: undefined});
+                }
+            });
+            //in the order they are passed
+            events.sort(from <= to ? byTime : (a, b) => b.time - a.time);
+            events.forEach((event) => this.fire(EVENT_TYPES.KEYFRAME, event));
+        }
+
+        /**
+         * Jumps to a position without firing events.
+         * @param {number|string} timeOrLabel - ms from the start or a label added with addLabel
+         */
+        seek(timeOrLabel) {
+            const time = typeof timeOrLabel === 'string' ? this.labels.get(timeOrLabel) : timeOrLabel;
+            if (time === undefined) {
+                throw new Error('Unknown label ' + timeOrLabel);
+            }
+            this.time = Math.min(Math.max(time, 0), this.duration);
+            this.finished = false;
+            this.passStart = false;
+            this.evaluate();
+            return this;
+        }
+
+        setRate(rate) {
+            this.rate = rate;
+            return this;
+        }
+
+        getRate() {
+            return this.rate;
+        }
+
+        getTime() {
+            return this.time;
+        }
+
+        getDuration() {
+            return this.duration;
+        }
+
+        isFinished() {
+            return this.finished;
+        }
+
+        evaluate() {
+            this.tracks.forEach((track, property) => {
+                this.values.set(property, this.valueAt(track, this.time));
+            });
+        }
+
+        valueAt(track, time) {
+            if (time <= track[0].time) {
+                return track[0].value;
+            }
+            for (let i = 1; i < track.length; i++) {
+                const to = track[i];
+                if (time < to.time) {
+                    const from = track[i - 1];
+                    return interpolate(from, to, (time - from.time) / (to.time - from.time), to.interpolation);
+                }
+            }
+            return track[track.length - 1].value;
+        }
+
+        /**
+         * @returns {number} - current value of the property, undefined if it has no keyframes
+         */
+        getValue(property) {
+            return this.values.get(property);
+        }
+
+        /**
+         * @returns {Object} - value animation providing getValue() for one property
+         */
+        channel(property) {
+            return {
+                getValue: () => this.getValue(property)
+            };
+        }
+
+        getX() {
+            return this.getValue('x');
+        }
+
+        getY() {
+            return this.getValue('y');
+        }
+    }
@@ -0,0 +1,214 @@
+/*
+ * Tween module - ES6 version
+ *
+ * Duration based value animations with easing. Easing functions map the
+ * progress t in [0, 1] to the eased progress, which may leave [0, 1] for
+ * back and elastic. See https://easings.net for the curves.
+ */
+import { AnimationComponent, EVENT_TYPES } from './animation.js';
+
+const BACK_OVERSHOOT = 1.70158;
+const BACK_IN_OUT_OVERSHOOT = BACK_OVERSHOOT * 1.525;
+const ELASTIC_PERIOD = (2 * Math.PI) / 3;
+const ELASTIC_IN_OUT_PERIOD = (2 * Math.PI) / 4.5;
+
+const bounceOut = (t) => {
+    const n1 = 7.5625;
+    const d1 = 2.75;
+    if (t < 1 / d1) {
+        return n1 * t * t;
+    } else if (t < 2 / d1) {
+        t -= 1.5 / d1;
+        return n1 * t * t + 0.75;
+    } else if (t < 2.5 / d1) {
+        t -= 2.25 / d1;
+        return n1 * t * t + 0.9375;
+    }
+    t -= 2.625 / d1;
+    return n1 * t * t + 0.984375;
+};
+
+export const EASING = {
+    LINEAR: (t) => t,
+    QUAD_IN: (t) => t * t,
+    QUAD_OUT: (t) => 1 - (1 - t) * (1 - t),
+    QUAD_IN_OUT: (t) => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    CUBIC_IN: (t) => t * t * t,
+    CUBIC_OUT: (t) => 1 - Math.pow(1 - t, 3),
+    CUBIC_IN_OUT: (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    SINE_IN: (t) => 1 - Math.cos((t * Math.PI) / 2),
+    SINE_OUT: (t) => Math.sin((t * Math.PI) / 2),
+    SINE_IN_OUT: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+    EXPO_IN: (t) => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+    EXPO_OUT: (t) => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+    EXPO_IN_OUT: (t) => {
+        if (t === 0 || t === 1) {
+            return t;
+        }
+        return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+    },
+    BACK_IN: (t) => (BACK_OVERSHOOT + 1) * t * t * t - BACK_OVERSHOOT * t * t,
+    BACK_OUT: (t) => 1 + (BACK_OVERSHOOT + 1) * Math.pow(t - 1, 3) + BACK_OVERSHOOT * Math.pow(t - 1, 2),
+    BACK_IN_OUT: (t) => {
+        const c = BACK_IN_OUT_OVERSHOOT;
+        return t < 0.5
+                ? (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2
+                : (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
+    },
+    ELASTIC_IN: (t) => {
+        if (t === 0 || t === 1) {
+            return t;
+        }
+        return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ELASTIC_PERIOD);
+    },
+    ELASTIC_OUT: (t) => {
+        if (t === 0 || t === 1) {
+            return t;
+        }
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ELASTIC_PERIOD) + 1;
+    },
+    ELASTIC_IN_OUT: (t) => {
+        if (t === 0 || t === 1) {
+            return t;
+        }
+        return t < 0.5
+                ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * ELASTIC_IN_OUT_PERIOD)) / 2
+                : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * ELASTIC_IN_OUT_PERIOD)) / 2 + 1;
+    },
+    BOUNCE_IN: (t) => 1 - bounceOut(1 - t),
+    BOUNCE_OUT: bounceOut,
+    BOUNCE_IN_OUT: (t) => t < 0.5 ? (1 - bounceOut(1 - 2 * t)) / 2 : (1 + bounceOut(2 * t - 1)) / 2
+};
+
+/**
+ * Easing function for a CSS like cubic-bezier(x1, y1, x2, y2) timing curve.
+ * The curve runs from (0, 0) to (1, 1), x1 and x2 must be within [0, 1].
+ * @returns {Function} - t => eased progress
+ */
+export const cubicBezier = (x1, y1, x2, y2) => {
+    //polynomial coefficients of x(s) and y(s)
+    const cx = 3 * x1;
+    const bx = 3 * (x2 - x1) - cx;
+    const ax = 1 - cx - bx;
+    const cy = 3 * y1;
+    const by = 3 * (y2 - y1) - cy;
+    const ay = 1 - cy - by;
+    const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+    const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+    const sampleDerivativeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+    //parameter s of the curve point with the given x
+    const solveX = (x) => {
+        let s = x;
+        //newton is fast but may fail for flat parts of the curve
+        for (let i = 0; i < 8; i++) {
+            const error = sampleX(s) - x;
+            if (Math.abs(error) < 1e-6) {
+                return s;
+            }
+            const derivative = sampleDerivativeX(s);
+            if (Math.abs(derivative) < 1e-6) {
+                break;
+            }
+            s -= error / derivative;
+        }
+        //fall back to bisection
+        let lo = 0;
+        let hi = 1;
+        s = x;
+        while (hi - lo > 1e-6) {
+            if (sampleX(s) < x) {
+                lo = s;
+            } else {
+                hi = s;
+            }
+            s = (lo + hi) / 2;
+        }
+        return s;
+    };
+    return (t) => {
+        if (t <= 0 || t >= 1) {
+            return t;
+        }
+        return sampleY(solveX(t));
+    };
+};
+
+/**
+ * Value animation from "from" to "to" within "duration" ms. Use it wherever
+ * a getValue() is consumed, e.g. as x or y animation of a XYAnimation.
+ * Fires ANIMATION_END once the last repetition is done and keeps the final value.
+ */
+export class TweenAnimation extends AnimationComponent {
+        /**
+         * @param {number} from - start value
+         * @param {number} to - end value
+         * @param {number} duration - length of one run in ms
+         * @param {Object} options
+         * @param {Function} options.easing - one of EASING or a cubicBezier (default: EASING.LINEAR)
+         * @param {number} options.delay - ms to wait with "from" before the first run (default: 0)
+         * @param {number} options.repeat - additional runs, Infinity to run forever (default: 0)
+         * @param {boolean} options.yoyo - every second run goes back from "to" to "from" (default: false)
+         */
+        constructor(from, to, duration, options = {}) {
+            super();
+            this.from = from;
+            this.to = to;
+            this.duration = duration;
+            this.easing = options.easing || EASING.LINEAR;
+            this.delay = options.delay || 0;
+            this.repeat = options.repeat || 0;
+            this.yoyo = options.yoyo === true;
+            this.elapsed = 0;
+            this.value = from;
+            this.finished = false;
+        }
+
+        init() {
+            this.elapsed = 0;
+            this.value = this.from;
+            this.finished = false;
+            return super.init();
+        }
+
+        update(current) {
+            if (!this.finished) {
+                this.elapsed += current - this.lastUpdateTime;
+                this.value = this.computeValue(this.elapsed);
+            }
+            return super.update(current);
+        }
+
+        /**
+         * @param {number} elapsed - ms since init, including the delay
+         */
+        computeValue(elapsed) {
+            const time = elapsed - this.delay;
+            if (time <= 0) {
+                return this.from;
+            }
+            const runs = this.repeat + 1;
+            let run = this.duration > 0 ? Math.floor(time / this.duration) : runs;
+            let t;
+            if (run >= runs) {
+                //done, stay at the end of the last run
+                run = runs - 1;
+                t = 1;
+                this.finished = true;
+                this.fire(EVENT_TYPES.ANIMATION_END, this);
+            } else {
+                t = (time - run * this.duration) / this.duration;
+            }
+            if (this.yoyo && run % 2 === 1) {
+                t = 1 - t;
+            }
+            return this.from + (this.to - this.from) * this.easing(t);
+        }
+
+        isFinished() {
+            return this.finished;
+        }
+
+        getValue() {
+            return this.value;
+        }
+    }
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the components of animation.js
+ * Covers the event system, the bounds of Vector2DAnimation and XYAnimationPath
+ */
+
+import * as A from '../js/animation.js';
+import { DIRECTION, Rectangle2D, Vector2D } from '../js/base.js';
+import { Clock } from '../js/clock.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+const run = (om, steps, ms = 16) => {
+    const clock = om.getClock();
+    for (let i = 0; i < steps; i++) {
+        om.update(clock.step(ms));
+        om.commit();
+    }
+};
+
+/**
+ * Adds a paintable moved by "vector" to a new ObjectManager, BOUNDS_REACHED events are collected in "events"
+ */
+const managed = (vector, events) => {
+    const om = new A.ObjectManager();
+    const obj = new A.PaintableWithAnimation(new A.CirclePainter('#FFFFFF', 2), vector);
+    om.on(A.EVENT_TYPES.BOUNDS_REACHED, (type, event) => events.push(event));
+    om.add(obj);
+    obj.init();
+    om.commit();
+    return om;
+};
+
+/**
+ * Binds the component to a fresh clock and initializes it at time 0
+ */
+const started = (component) => {
+    component.setClock(new Clock());
+    component.init();
+    return component;
+};
+
+const at = (obj, x, y) => Math.abs(obj.getX() - x) < 1e-9 && Math.abs(obj.getY() - y) < 1e-9;
+
+const xy = (x, y) => new A.XYAnimation(new A.FixValueAnimation(x), new A.FixValueAnimation(y));
+
+console.log('Testing animation components');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Listeners
+console.log('Test 1: on, once and removeListener...');
+const source = new A.FixValueAnimation(0);
+const heard = [];
+const onEnd = (type, event, target) => heard.push('on:' + event + ':' + (target === source));
+source.on(A.EVENT_TYPES.ANIMATION_END, onEnd);
+source.once(A.EVENT_TYPES.ANIMATION_END, (type, event) => heard.push('once:' + event));
+source.on(A.EVENT_TYPES.FRAME_CHANGED, () => heard.push('frame'));
+source.fire(A.EVENT_TYPES.ANIMATION_END, 1);
+source.fire(A.EVENT_TYPES.ANIMATION_END, 2);
+check(heard.join(',') === 'on:1:true,once:1,on:2:true', 'listeners get type, event and target, once only once');
+source.removeListener(A.EVENT_TYPES.ANIMATION_END, onEnd);
+source.fire(A.EVENT_TYPES.ANIMATION_END, 3);
+check(heard.length === 3, 'removed callbacks are not called');
+const listener = new A.ObjectListener();
+listener.eventType = A.EVENT_TYPES.ANIMATION_END;
+listener.listen = () => heard.push('object');
+source.addListener(listener).fire(A.EVENT_TYPES.ANIMATION_END, 4);
+source.removeListener(listener).fire(A.EVENT_TYPES.ANIMATION_END, 5);
+check(heard.slice(3).join(',') === 'object', 'listener objects are added and removed as well');
+console.log();
+
+// Test 2: Bubbling
+console.log('Test 2: Events bubble to the top level object and the ObjectManager...');
+const om = new A.ObjectManager();
+const position = xy(1, 2);
+const root = new A.PaintableWithAnimation(new A.CirclePainter('#FFFFFF', 2), position);
+om.add(root);
+root.init();
+om.commit();
+const path = [];
+position.on(A.EVENT_TYPES.ANIMATION_END, () => path.push('component'));
+root.on(A.EVENT_TYPES.ANIMATION_END, () => path.push('root'));
+om.on(A.EVENT_TYPES.ANIMATION_END, (type, event) => path.push('manager:' + (event === position)));
+om.on(A.EVENT_TYPES.COLLISION, () => path.push('collision'));
+position.fire(A.EVENT_TYPES.ANIMATION_END, position);
+check(path.join(',') === 'component,root,manager:true', 'component, top level object, manager');
+position.fire(A.EVENT_TYPES.COLLISION, position);
+check(path.length === 3, 'events with bubbles: false stay at their source');
+root.once(A.EVENT_TYPES.ANIMATION_END, () => false);
+position.fire(A.EVENT_TYPES.ANIMATION_END, position);
+check(path.slice(3).join(',') === 'component,root', 'a listener returning false stops the propagation');
+console.log();
+
+// Test 3: Wrapped animations
+console.log('Test 3: Events bubble through XYCorrection...');
+const bubbling = new A.ObjectManager();
+const inner = new A.Vector2DAnimation({x: 1, y: 0}, 0.1, Rectangle2D(0, 0, 5, 5));
+const ship = new A.PaintableWithAnimation(new A.CirclePainter('#FFFFFF', 2), new A.XYCorrection(inner, 10, 10));
+let reached = 0;
+bubbling.on(A.EVENT_TYPES.BOUNDS_REACHED, () => reached++);
+bubbling.add(ship);
+ship.init();
+bubbling.commit();
+run(bubbling, 10);
+check(inner.getRoot() === ship, 'the wrapped animation knows the top level object');
+check(reached === 1, 'BOUNDS_REACHED reaches the ObjectManager');
+console.log();
+
+// Test 4: Bounds
+console.log('Test 4: BOUNDS_REACHED and the bounds modes...');
+const clampEvents = [];
+const clamped = new A.Vector2DAnimation(Vector2D(1, 0), 0.1, Rectangle2D(0, 0, 5, 5));
+const clamping = managed(clamped, clampEvents);
+run(clamping, 10);
+check(clamped.getX() === 5 && clampEvents.length === 1, 'CLAMP stops at the edge and fires once');
+check(clampEvents[0].edges === DIRECTION.RIGHT.bit && clampEvents[0].mode === A.BOUNDS_MODE.CLAMP &&
+        clampEvents[0].source === clamped, 'the event names the edge, the mode and the source');
+clamped.setDirection(Vector2D(-1, 1));
+run(clamping, 10);
+check(clampEvents.length === 2 && clampEvents[1].edges === (DIRECTION.LEFT.bit | DIRECTION.DOWN.bit),
+        'edges reached together are reported in one event');
+const wrapEvents = [];
+const wrapped = new A.Vector2DAnimation(Vector2D(1, 0), 0.1, Rectangle2D(0, 0, 10, 10), A.BOUNDS_MODE.WRAP);
+run(managed(wrapped, wrapEvents), 7);
+check(wrapEvents.length === 1 && Math.abs(wrapped.getX() - 1.2) < 1e-9, 'WRAP continues at the opposite edge');
+const bounceEvents = [];
+const bounced = new A.Vector2DAnimation(Vector2D(1, 1), 0.1, Rectangle2D(0, 0, 10, 5), A.BOUNDS_MODE.BOUNCE);
+run(managed(bounced, bounceEvents), 4);
+check(bounceEvents.length === 1 && bounced.getY() === 5 && bounced.direction2D.x === 1 && bounced.direction2D.y === -1,
+        'BOUNCE reflects the direction at the edge');
+console.log();
+
+// Test 5: BOUNDS_MODE.KILL
+console.log('Test 5: BOUNDS_MODE.KILL removes the top level object...');
+const killing = new A.ObjectManager();
+const vector = new A.Vector2DAnimation({x: 1, y: 0}, 0.1, Rectangle2D(0, 0, 20, 20), A.BOUNDS_MODE.KILL);
+const bullet = new A.PaintableWithAnimation(new A.CirclePainter('#FFFFFF', 2), vector);
+killing.createPool('bullet', () => bullet);
+killing.spawn('bullet');
+killing.commit();
+run(killing, 20);
+check(killing.getAnimations().length === 0, 'the object left its bounds and is removed');
+check(bullet.getState() === A.STATE.UNMANAGED && killing.getPoolStats().bullet.size === 1, 'it returned to its pool');
+killing.spawn('bullet');
+killing.commit();
+check(vector.getState() === A.STATE.UNKNOWN && vector.getX() === 0, 'init resets the state of the vector');
+run(killing, 1);
+check(killing.getAnimations().length === 1, 'the reused object stays until it leaves its bounds again');
+console.log();
+
+// Test 6: Paths
+console.log('Test 6: XYAnimationPath runs its parts one after the other...');
+const parts = () => [
+    new A.LinePathPart(100, 0, 100),
+    //quarter circles around (110, 60)
+    new A.ArcPathPart(50, -90, 180, 100),
+    new A.BezierPathPart(-30, 0, -30, -40, 0, -40, 100),
+    new A.WaitPathPart(50)
+];
+const flight = started(new A.XYAnimationPath(10, 10, parts()));
+let pathEnds = 0;
+flight.on(A.EVENT_TYPES.ANIMATION_END, () => pathEnds++);
+check(at(flight, 10, 10), 'starts at the start position');
+flight.update(50);
+check(at(flight, 60, 10), 'LinePathPart moves straight');
+flight.update(150);
+check(at(flight, 160, 60), 'ArcPathPart starts at the end of the line');
+flight.update(200);
+check(at(flight, 110, 110), 'ArcPathPart sweeps the angle');
+flight.update(250);
+check(at(flight, 87.5, 90), 'BezierPathPart follows its control points');
+flight.update(320);
+check(at(flight, 110, 70) && pathEnds === 0 && !flight.isFinished(), 'WaitPathPart stays at the end of the curve');
+flight.update(350);
+flight.update(400);
+check(pathEnds === 1 && flight.isFinished() && at(flight, 110, 70), 'ANIMATION_END fires once after the last part');
+const jumping = started(new A.XYAnimationPath(10, 10, parts()));
+jumping.update(150);
+check(at(jumping, 160, 60), 'time left over when a part stops is passed on to the next part');
+const eased = started(new A.XYAnimationPath(0, 0, [new A.LinePathPart(100, 0, 100, (t) => t * t)]));
+eased.update(50);
+check(at(eased, 25, 0), 'the easing of a part shapes its progress');
+flight.init();
+check(at(flight, 10, 10) && !flight.isFinished(), 'init starts the path again');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! Animation components work as expected.');
+console.log();
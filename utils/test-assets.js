@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the asset loading
+ * Loads the metadata files in img/meta through stand-ins for the browser's fetch and Image
+ */
+
+import fs from 'fs';
+import { SpriteDescriptor } from '../js/animation.js';
+import { AssetLoadError, AssetManager, loadSpriteDescriptor } from '../js/assets.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+globalThis.fetch = (url) => {
+    const exists = fs.existsSync(url);
+    return Promise.resolve({
+        ok: exists,
+        status: exists ? 200 : 404,
+        json: () => Promise.resolve(JSON.parse(fs.readFileSync(url)))
+    });
+};
+
+globalThis.Image = class {
+        set src(src) {
+            this.source = src;
+            setTimeout(() => (fs.existsSync(src) ? this.onload() : this.onerror()), 0);
+        }
+
+        get src() {
+            return this.source;
+        }
+    };
+
+const rejection = (promise) => promise.then(() => null, (error) => error);
+
+console.log('Testing asset loading');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Metadata with one polygon per sprite
+console.log('Test 1: loadSpriteDescriptor builds the descriptor and its shapes...');
+const meta = JSON.parse(fs.readFileSync('img/meta/asteroid3_32x32-meta.json'));
+const descriptor = await loadSpriteDescriptor('img/meta/asteroid3_32x32-meta.json', {algorithm: 'convexHull', accuracy: 'low'});
+check(descriptor instanceof SpriteDescriptor, 'resolves with a SpriteDescriptor');
+check(descriptor.img.src === 'img/meta/../' + meta.sourceImage, 'the image is loaded relative to the parent directory');
+check(descriptor.sx === meta.spriteWidth && descriptor.sy === meta.spriteHeight &&
+        descriptor.gridWidth === meta.gridWidth && descriptor.noSprites === meta.numSprites, 'the grid is taken from the metadata');
+check(descriptor.shapes.frames.length === meta.numSprites && descriptor.shapes.convex, 'convex hulls are attached as convex shapes');
+check(descriptor.shapes.getPolygons(meta.numSprites + 1) === descriptor.shapes.getPolygons(1), 'frame indices wrap around');
+const concave = await loadSpriteDescriptor('img/meta/asteroid3_32x32-meta.json');
+check(!concave.shapes.convex && JSON.stringify(concave.shapes.getPolygons(0)[0]) === JSON.stringify(meta.algorithms.marchingSquares.mid[0].boundingShape),
+        'marching squares of mid accuracy by default, they are not convex');
+console.log();
+
+// Test 2: Convex decomposition metadata
+console.log('Test 2: Convex decompositions keep all their polygons...');
+const decomposition = JSON.parse(fs.readFileSync('img/meta/asteroid1_72x72-convex-decomposition-meta.json'));
+const decomposed = await loadSpriteDescriptor('img/meta/asteroid1_72x72-convex-decomposition-meta.json', {accuracy: 'high'});
+check(decomposed.shapes.convex, 'the parts are convex');
+check(decomposed.shapes.getPolygons(0).length === decomposition.accuracyLevels.high[0].convexPolygons.length,
+        'each frame holds the polygons of its decomposition');
+console.log();
+
+// Test 3: Errors
+console.log('Test 3: Missing files reject...');
+const missingMeta = await rejection(loadSpriteDescriptor('img/meta/missing-meta.json'));
+check(missingMeta instanceof Error && missingMeta.message.indexOf('404') >= 0, 'a missing metadata file rejects with the status');
+fs.writeFileSync('/tmp/orphan-meta.json', JSON.stringify(Object.assign({}, meta, {sourceImage: 'orphan.png'})));
+const missingImage = await rejection(loadSpriteDescriptor('/tmp/orphan-meta.json'));
+fs.unlinkSync('/tmp/orphan-meta.json');
+check(missingImage instanceof Error && missingImage.message.indexOf('orphan.png') >= 0, 'a missing image rejects with its URL');
+console.log();
+
+// Test 4: Manifest
+console.log('Test 4: AssetManager loads a manifest and reports the progress...');
+const assets = new AssetManager();
+const progress = [];
+const loaded = await assets.load([
+    {name: 'rock', type: 'sprite', src: 'img/meta/asteroid3_32x32-meta.json', options: {algorithm: 'convexHull'}},
+    {name: 'rockMeta', type: 'json', src: 'img/meta/asteroid3_32x32-meta.json'},
+    {name: 'sheet', type: 'image', src: 'img/' + meta.sourceImage}
+], (count, total, entry) => progress.push(count + '/' + total));
+check(loaded === assets, 'resolves with the AssetManager');
+check(progress.join(',') === '1/3,2/3,3/3', 'progress is reported for every asset');
+check(assets.get('rock') instanceof SpriteDescriptor && assets.get('rock').shapes.convex, 'sprite entries pass their options on');
+check(assets.get('rockMeta').numSprites === meta.numSprites && assets.has('sheet'), 'json and image entries are loaded');
+check(assets.getName(assets.get('sheet')) === 'sheet' && assets.getName({}) === undefined, 'getName finds loaded assets');
+let notLoaded = null;
+try {
+    assets.get('nothing');
+} catch (error) {
+    notLoaded = error;
+}
+check(notLoaded !== null && notLoaded.message.indexOf('nothing') >= 0, 'get throws for assets that have not been loaded');
+console.log();
+
+// Test 5: Failures
+console.log('Test 5: Failed assets are collected in an AssetLoadError...');
+const failing = new AssetManager().registerLoader('number', (entry) => Promise.resolve(Number(entry.src)));
+let failedProgress = 0;
+const failure = await rejection(failing.load([
+    {name: 'answer', type: 'number', src: '42'},
+    {name: 'lost', type: 'image', src: 'img/lost.png'},
+    {name: 'strange', type: 'audio', src: 'img/sound.ogg'}
+], () => failedProgress++));
+check(failure instanceof AssetLoadError, 'rejects with an AssetLoadError');
+check(failure.failures.map((entry) => entry.entry.name).sort().join(',') === 'lost,strange', 'it lists every failed asset');
+check(failure.message.indexOf('img/lost.png') >= 0 && failure.failures.some((entry) => entry.error.message.indexOf('audio') >= 0),
+        'the message names the sources, unknown types are failures');
+check(failedProgress === 3 && failing.get('answer') === 42, 'the other assets are loaded and all are reported');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! Assets load as expected.');
+console.log();
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Camera
+ * Covers the view transformation, following a target, bounds and shake
+ */
+
+import * as A from '../js/animation.js';
+import { IDENTITY_MATRIX2D, Rectangle2D, applyMatrix2D, composeMatrix2D, multiplyMatrix2D } from '../js/base.js';
+import { Camera } from '../js/camera.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+/**
+ * Stand-in for a CanvasRenderingContext2D keeping track of its transformation
+ */
+const matrixContext = () => {
+    return {
+        matrix: IDENTITY_MATRIX2D,
+        translate(x, y) {
+            this.matrix = multiplyMatrix2D(this.matrix, composeMatrix2D(x, y, 0, 1, 1));
+        },
+        rotate(angle) {
+            this.matrix = multiplyMatrix2D(this.matrix, composeMatrix2D(0, 0, angle, 1, 1));
+        },
+        scale(x, y) {
+            this.matrix = multiplyMatrix2D(this.matrix, composeMatrix2D(0, 0, 0, x, y));
+        }
+    };
+};
+
+/**
+ * Screen position of the world point (x, y) after camera.apply
+ */
+const screenOf = (camera, x, y, parallax, alpha) => {
+    const ctx = matrixContext();
+    camera.apply(ctx, parallax, alpha);
+    return applyMatrix2D(ctx.matrix, {x, y});
+};
+
+/**
+ * Top level object at a fixed position, moved by the tests
+ */
+class Target extends A.AnimationComponent {
+        constructor(x, y) {
+            super();
+            this.x = x;
+            this.y = y;
+        }
+
+        getX() {
+            return this.x;
+        }
+
+        getY() {
+            return this.y;
+        }
+    }
+
+console.log('Testing Camera');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: View transformation
+console.log('Test 1: The camera maps world to screen coordinates...');
+const camera = new Camera(800, 600);
+const untouched = screenOf(camera, 123, 45);
+check(near(untouched.x, 123) && near(untouched.y, 45), 'without moves and zoom the world looks like the bare canvas');
+camera.setPosition(1000, 1000).setZoom(2);
+const moved = screenOf(camera, 1010, 990);
+check(near(moved.x, 420) && near(moved.y, 280), 'the position is the center of the view, zoom scales around it');
+const converted = camera.worldToScreen(1010, 990);
+check(near(converted.x, moved.x) && near(converted.y, moved.y), 'worldToScreen matches the transformation of apply');
+const back = camera.screenToWorld(converted.x, converted.y);
+check(near(back.x, 1010) && near(back.y, 990), 'screenToWorld inverts worldToScreen');
+const view = camera.getViewRect();
+check(view.xmin === 800 && view.xmax === 1200 && view.ymin === 850 && view.ymax === 1150, 'the view rectangle shrinks with the zoom');
+camera.setZoom(1);
+const distant = screenOf(camera, 400, 300, 0);
+check(near(distant.x, 400) && near(distant.y, 300), 'parallax 0 does not move with the camera');
+const halfway = screenOf(camera, 400, 300, 0.5);
+check(near(halfway.x, 100) && near(halfway.y, -50), 'parallax 0.5 moves half as far');
+const layerView = camera.getViewRect(0.5);
+const corner = screenOf(camera, layerView.xmin, layerView.ymin, 0.5);
+const opposite = screenOf(camera, layerView.xmax, layerView.ymax, 0.5);
+check(near(corner.x, 0) && near(corner.y, 0) && near(opposite.x, 800) && near(opposite.y, 600),
+        'getViewRect with a parallax is the area apply shows of that layer');
+console.log();
+
+// Test 2: Following
+console.log('Test 2: The camera follows its target within its bounds...');
+const om = new A.ObjectManager();
+const ship = new Target(100, 100);
+const follower = new Camera(200, 100, {bounds: Rectangle2D(0, 0, 1000, 500)}).follow(ship, {width: 40, height: 20});
+om.setCamera(follower);
+om.add(ship);
+follower.init();
+om.commit();
+check(follower.getX() === 100 && follower.getY() === 100, 'init moves to the target');
+ship.x = 115;
+om.update(om.getClock().step(10));
+check(follower.getX() === 100, 'moves within the dead zone keep the camera still');
+ship.x = 150;
+ship.y = 200;
+om.update(om.getClock().step(10));
+check(follower.getX() === 130 && follower.getY() === 190, 'the camera keeps the target at the edge of the dead zone');
+ship.x = 5;
+ship.y = 5;
+om.update(om.getClock().step(10));
+check(follower.getX() === 100 && follower.getY() === 50, 'the view stays within the bounds');
+const interpolated = screenOf(follower, 100, 50, 1, 0.5);
+check(near(interpolated.x, 100 - 15) && near(interpolated.y, 50 - 70), 'apply interpolates between the last two positions');
+const smooth = new Camera(200, 100, {smoothing: 100}).follow(new Target(200, 50));
+smooth.update(100);
+check(near(smooth.getX(), 100 + 100 * (1 - Math.exp(-1))), 'smoothing approaches the target with its time constant');
+console.log();
+
+// Test 3: Shake
+console.log('Test 3: Trauma shakes the view and decays...');
+const shaking = new Camera(800, 600, {maxShake: 10, maxShakeAngle: 0.1, traumaDecay: 0.001});
+shaking.setClock(om.getClock());
+shaking.init();
+check(shaking.addTrauma(0.6).addTrauma(0.6).getTrauma() === 1, 'trauma is limited to 1');
+shaking.update(shaking.lastUpdateTime + 500);
+check(near(shaking.getTrauma(), 0.5), 'trauma decays over time');
+check(Math.abs(shaking.shake.x) <= 2.5 && Math.abs(shaking.shake.y) <= 2.5 && Math.abs(shaking.shake.angle) <= 0.025,
+        'the shake grows with trauma squared');
+shaking.update(shaking.lastUpdateTime + 1000);
+const calm = screenOf(shaking, 10, 20);
+check(shaking.getTrauma() === 0 && near(calm.x, 10) && near(calm.y, 20), 'the view calms down by itself');
+om.pause();
+const pausedX = follower.getX();
+ship.x = 500;
+om.update(om.getClock().step(10));
+check(follower.isPaused() && follower.getX() === pausedX, 'the camera pauses with its ObjectManager');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! Camera works as expected.');
+console.log();
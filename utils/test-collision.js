@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the runtime collision detection
+ * Verifies the group rules, the COLLISION events fired when contacts begin, the SAT narrow phase
+ * and the broad phase of SpatialGrid and ObjectManager
+ */
+
+import * as A from '../js/animation.js';
+import { COLLISION_GROUP, Collider, CollisionSystem, SpriteShapes } from '../js/collision.js';
+import { satConvexPolygons, satCollide } from '../js/boundingShape.js';
+import { SpatialGrid } from '../js/spatialIndex.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+const square = (x, y, width, height) => [
+    {x, y}, {x: x + width, y}, {x: x + width, y: y + height}, {x, y: y + height}
+];
+
+/**
+ * Top level object at a fixed position, moved by the tests
+ */
+class Box extends A.AnimationComponent {
+        constructor(x, y) {
+            super();
+            this.x = x;
+            this.y = y;
+        }
+
+        getX() {
+            return this.x;
+        }
+
+        getY() {
+            return this.y;
+        }
+    }
+
+/**
+ * SceneNode with a circle of "radius" centered at (x, y) relative to its parent
+ */
+const circleNode = (x, y, radius) => {
+    return new A.SceneNode(new A.CirclePainter('#FFFFFF', radius),
+            new A.XYAnimation(new A.FixValueAnimation(x), new A.FixValueAnimation(y)));
+};
+
+const boxShapes = new SpriteShapes([[square(0, 0, 10, 10)]], true);
+
+console.log('Testing collision detection');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Group rules
+console.log('Test 1: Only groups with a rule are tested against each other...');
+const system = new CollisionSystem().addRule(COLLISION_GROUP.SHIP, COLLISION_GROUP.ASTEROID);
+const events = [];
+system.on(A.EVENT_TYPES.COLLISION, (type, event) => events.push(event));
+const asteroidBox = new Box(5, 0);
+const asteroid = system.add(new Collider(asteroidBox, boxShapes, COLLISION_GROUP.ASTEROID));
+const otherAsteroid = system.add(new Collider(new Box(8, 0), boxShapes, COLLISION_GROUP.ASTEROID));
+const shipBox = new Box(0, 0);
+const ship = system.add(new Collider(shipBox, boxShapes, COLLISION_GROUP.SHIP));
+system.detect();
+check(events.length === 2, 'the ship hits both asteroids, the overlapping asteroids are ignored');
+check(events.every((event) => event.a === ship), '"a" belongs to the first group of the rule');
+const first = events.find((event) => event.b === asteroid);
+check(Math.abs(first.depth - 5) < 1e-9 && Math.abs(first.mtv.x + 5) < 1e-9, 'depth and mtv of the contact');
+console.log();
+
+// Test 2: Contact start
+console.log('Test 2: COLLISION fires when a contact begins...');
+events.length = 0;
+system.detect();
+check(events.length === 0, 'an ongoing contact fires no further event');
+shipBox.x = -100;
+system.detect();
+shipBox.x = 0;
+system.detect();
+check(events.length === 2, 'touching again after separating is a new contact');
+events.length = 0;
+system.remove(otherAsteroid);
+system.detect();
+check(events.length === 0 && system.getColliders().indexOf(otherAsteroid) < 0, 'removed colliders are not tested');
+console.log();
+
+// Test 3: Reused colliders
+console.log('Test 3: Reused colliders start without contacts...');
+const manager = new A.ObjectManager();
+manager.add(asteroidBox);
+manager.commit();
+events.length = 0;
+system.detect();
+//removed and spawned again within one step while still touching the ship
+asteroidBox.remove();
+manager.commit();
+manager.add(asteroidBox);
+system.add(asteroid);
+manager.commit();
+system.detect();
+check(events.length === 1 && events[0].b === asteroid, 'the respawned asteroid fires its first COLLISION');
+events.length = 0;
+system.remove(asteroid);
+system.add(asteroid);
+system.detect();
+check(events.length === 1, 'adding a removed collider again clears its contacts');
+console.log();
+
+// Test 4: Concave shapes
+console.log('Test 4: Concave shapes only report the overlap...');
+const concave = new SpriteShapes([[[{x: 0, y: 0}, {x: 10, y: 0}, {x: 10, y: 10}, {x: 5, y: 3}, {x: 0, y: 10}]]], false);
+const concaveSystem = new CollisionSystem().addRule(COLLISION_GROUP.SHIP, COLLISION_GROUP.ASTEROID);
+const concaveEvents = [];
+concaveSystem.on(A.EVENT_TYPES.COLLISION, (type, event) => concaveEvents.push(event));
+concaveSystem.add(new Collider(new Box(0, 0), concave, COLLISION_GROUP.SHIP));
+const rock = new Box(4, 6);
+concaveSystem.add(new Collider(rock, new SpriteShapes([[square(0, 0, 2, 2)]], true), COLLISION_GROUP.ASTEROID));
+concaveSystem.detect();
+check(concaveEvents.length === 0, 'a box in the notch does not collide');
+rock.y = 0;
+concaveSystem.detect();
+check(concaveEvents.length === 1 && concaveEvents[0].depth === 0, 'overlap without depth and mtv');
+console.log();
+
+// Test 5: Two convex polygons
+console.log('Test 5: satConvexPolygons depth and normal...');
+const apart = satConvexPolygons(square(0, 0, 10, 10), square(20, 0, 10, 10));
+check(!apart.overlap, 'separated squares do not overlap');
+const touching = satConvexPolygons(square(0, 0, 10, 10), square(10, 0, 10, 10));
+check(!touching.overlap, 'squares sharing an edge only touch');
+const partial = satConvexPolygons(square(0, 0, 10, 10), square(8, 2, 10, 4));
+check(partial.overlap && near(partial.depth, 2), 'partial overlap has the depth of the overlap');
+check(near(partial.normal.x, 1) && near(partial.normal.y, 0), 'the normal points from A towards B');
+const contained = satConvexPolygons(square(0, 0, 10, 10), square(4, 4, 2, 2));
+check(contained.overlap && near(contained.depth, 6), 'containment has the depth needed to get clear of the inner square');
+const offCenter = satConvexPolygons(square(0, 0, 10, 10), square(1, 4, 2, 2));
+check(near(offCenter.depth, 3) && near(offCenter.normal.x, -1), 'A moves the short way out of an off center square');
+console.log();
+
+// Test 6: Sets of convex parts
+console.log('Test 6: satCollide pushes A out of all parts of B...');
+const missed = satCollide([square(0, 0, 4, 4)], {x: 20, y: 0}, [square(0, 0, 4, 4)], {x: 0, y: 0});
+check(!missed.overlap && missed.mtv.x === 0 && missed.mtv.y === 0, 'no overlap, no mtv');
+const twoParts = [square(0, 0, 4, 6), square(4, 0, 4, 6)];
+const pushed = satCollide([square(0, 0, 4, 4)], {x: 5, y: 1}, twoParts, {x: 0, y: 0});
+check(pushed.overlap && pushed.resolved && near(pushed.mtv.x, 3) && near(pushed.mtv.y, 0), 'mtv moves A clear of both parts');
+const moved = satCollide([square(0, 0, 4, 4)], {x: 5 + pushed.mtv.x, y: 1 + pushed.mtv.y}, twoParts, {x: 0, y: 0});
+check(!moved.overlap, 'A does not overlap any part after applying the mtv');
+//A is wider than the gap between two tall walls, each push moves it into the other wall
+const walls = [square(0, 0, 3, 100), square(5, 0, 3, 100)];
+const stuck = satCollide([square(0, 0, 4, 4)], {x: 2, y: 10}, walls, {x: 0, y: 0});
+check(stuck.overlap && !stuck.resolved, 'an mtv that leaves A inside B is reported as unresolved');
+console.log();
+
+// Test 7: SpatialGrid
+console.log('Test 7: SpatialGrid queries...');
+const grid = new SpatialGrid(10);
+const small = {name: 'small'};
+const large = {name: 'large'};
+const far = {name: 'far'};
+grid.update(small, {xmin: 1, ymin: 1, xmax: 4, ymax: 4});
+grid.update(large, {xmin: 2, ymin: 2, xmax: 35, ymax: 35});
+grid.update(far, {xmin: 100, ymin: 100, xmax: 105, ymax: 105});
+check(grid.size() === 3, 'all objects are registered');
+const hits = grid.query({xmin: 0, ymin: 0, xmax: 5, ymax: 5});
+check(hits.length === 2 && hits.indexOf(small) >= 0 && hits.indexOf(large) >= 0, 'query finds the overlapping objects once');
+const pairs = grid.queryPairs();
+check(pairs.length === 1 && pairs[0].indexOf(small) >= 0 && pairs[0].indexOf(large) >= 0,
+        'objects sharing several cells are reported as one pair');
+grid.update(small, {xmin: 101, ymin: 101, xmax: 104, ymax: 104});
+check(grid.query({xmin: 0, ymin: 0, xmax: 5, ymax: 5}).indexOf(small) < 0, 'moved objects leave their old cells');
+check(grid.queryPairs().length === 1 && grid.queryPairs()[0].indexOf(far) >= 0, 'moved objects meet their new neighbours');
+grid.remove(far);
+check(!grid.has(far) && grid.queryPairs().length === 0, 'removed objects are gone');
+console.log();
+
+// Test 8: Broad phase of the ObjectManager
+console.log('Test 8: The bounds of top level objects cover their children...');
+const broadPhase = (spatialIndex) => {
+    const objects = new A.ObjectManager();
+    if (spatialIndex) {
+        objects.setSpatialIndex(spatialIndex);
+    }
+    const planet = circleNode(0, 0, 5).addChild(circleNode(50, 0, 5));
+    const visitor = circleNode(50, 8, 5);
+    const stranger = circleNode(0, 100, 5);
+    [planet, visitor, stranger].forEach((obj) => {
+        objects.add(obj);
+        obj.init();
+    });
+    objects.commit();
+    return {objects, planet, visitor};
+};
+[null, new SpatialGrid(16)].forEach((spatialIndex) => {
+    const {objects, planet, visitor} = broadPhase(spatialIndex);
+    const label = spatialIndex ? 'with SpatialGrid' : 'without index';
+    const found = objects.query({xmin: 48, ymin: -2, xmax: 52, ymax: 2});
+    check(found.length === 1 && found[0] === planet, `query finds the object by its child (${label})`);
+    const candidates = objects.getCandidatePairs();
+    check(candidates.length === 1 && candidates[0].indexOf(planet) >= 0 && candidates[0].indexOf(visitor) >= 0,
+            `the child makes its top level object a candidate (${label})`);
+});
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! Collision detection works as expected.');
+console.log();
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the debug overlay
+ * Covers the dump of the object tree and the updates and painting of DebugOverlay
+ */
+
+import * as A from '../js/animation.js';
+import { COLLISION_GROUP, Collider, CollisionSystem, SpriteShapes } from '../js/collision.js';
+import { DEBUG_LAYER, DebugOverlay, dumpObjectTree } from '../js/debugOverlay.js';
+import { RectPainter } from '../js/painters.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+/**
+ * Stand-in for a CanvasRenderingContext2D recording what is stroked and written
+ */
+const recordingContext = () => {
+    const ignore = () => {};
+    const ctx = {
+        strokes: [],
+        texts: [],
+        save: ignore,
+        restore: ignore,
+        setLineDash: ignore,
+        setTransform: ignore,
+        beginPath: ignore,
+        moveTo: ignore,
+        lineTo: ignore,
+        closePath: ignore,
+        fillRect: ignore,
+        stroke: () => ctx.strokes.push(ctx.strokeStyle),
+        strokeRect: () => ctx.strokes.push(ctx.strokeStyle),
+        fillText: (text) => ctx.texts.push(text)
+    };
+    return ctx;
+};
+
+/**
+ * 10 x 10 box at (x, 20) moving right with "pixelPerMs"
+ */
+const box = (x, pixelPerMs) => {
+    return new A.PaintableWithAnimation(new RectPainter(10, 10, {fill: 'white'}),
+            new A.XYAnimation(new A.PathAnimation2(x, 1000, pixelPerMs), new A.FixValueAnimation(20)));
+};
+
+const om = new A.ObjectManager();
+om.addLayer(DEBUG_LAYER, {order: 250, visible: false});
+const ship = box(0, 0.1);
+const rock = box(100, 0).setOrder(5);
+const collisions = new CollisionSystem().addRule(COLLISION_GROUP.SHIP, COLLISION_GROUP.ASTEROID);
+collisions.add(new Collider(ship, new SpriteShapes([[[{x: 0, y: 0}, {x: 10, y: 0}, {x: 5, y: 10}]]], true), COLLISION_GROUP.SHIP));
+const overlay = new DebugOverlay(om, collisions, {treeDepth: 0}).setLayer(DEBUG_LAYER);
+[ship, rock, overlay].forEach((obj) => {
+    om.add(obj);
+    obj.init();
+});
+om.commit();
+const step = (ms) => {
+    om.update(om.getClock().step(ms));
+    om.commit();
+};
+
+console.log('Testing debug overlay');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Object tree
+console.log('Test 1: dumpObjectTree lists the objects by layer...');
+const lines = dumpObjectTree(om);
+check(lines[0] === '[background] 0' && lines.indexOf('[debug] 1 hidden') >= 0, 'a line per layer with its size and visibility');
+const world = lines.indexOf('[world] 2');
+check(lines[world + 1].startsWith('  PaintableWithAnimation #') && lines[world + 2].startsWith('    RectPainter'),
+        'components are indented below their objects');
+check(dumpObjectTree(om, 0).filter((line) => line.startsWith('    ')).length === 0, 'maxDepth limits the levels');
+check(lines.some((line) => line.indexOf('order 5') >= 0), 'the order is shown where it is set');
+console.log();
+
+// Test 2: Updates
+console.log('Test 2: The overlay only works while its layer is visible...');
+step(10);
+step(10);
+check(overlay.motion.size === 0, 'a hidden overlay skips its updates');
+om.getLayer(DEBUG_LAYER).setVisible(true);
+step(10);
+step(10);
+const motion = overlay.motion.get(ship);
+check(overlay.motion.size === 2 && near(motion.vx, 0.1) && motion.vy === 0, 'velocities are measured from the movement of the AABBs');
+check(near(motion.x, 4 + 5) && motion.y === 25, 'at the center of the AABB');
+om.getLayer(DEBUG_LAYER).setVisible(false);
+step(10);
+check(overlay.motion.size === 0, 'hiding the overlay drops the velocities');
+console.log();
+
+// Test 3: Painting
+console.log('Test 3: Shapes, AABBs, velocities and labels are painted...');
+om.getLayer(DEBUG_LAYER).setVisible(true);
+step(10);
+step(10);
+const ctx = recordingContext();
+overlay.paint(ctx);
+check(ctx.strokes.filter((style) => style === '#00FF00').length === 1 && ctx.strokes.filter((style) => style === '#FFFF00').length === 1,
+        'collider shapes of the ship, the bounding polygon of the rock');
+check(ctx.strokes.filter((style) => style === '#FF0000').length === 2 && ctx.strokes.filter((style) => style === '#00FFFF').length === 2,
+        'an AABB and a velocity for each object');
+check(ctx.texts.indexOf('5/' + rock.idx) >= 0 && ctx.texts.indexOf('[world] 2') >= 0, 'labels with order/idx and the tree');
+const short = new DebugOverlay(om, null, {maxLines: 3, shapes: false, aabbs: false, velocities: false, labels: false});
+const shortContext = recordingContext();
+short.paint(shortContext);
+check(shortContext.strokes.length === 0 && shortContext.texts.length === 3 && shortContext.texts[2].startsWith('... '),
+        'options turn the parts off, long trees are cut');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! Debug overlay works as expected.');
+console.log();
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the ObjectManager
+ * Covers pause and resume of the managed objects, pools, commit ordering and layers
+ */
+
+import * as A from '../js/animation.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+const run = (om, steps, ms = 10) => {
+    const clock = om.getClock();
+    for (let i = 0; i < steps; i++) {
+        om.update(clock.step(ms));
+        om.commit();
+    }
+};
+
+const named = (name, order = 0) => {
+    const obj = new A.FixValueAnimation(0).setOrder(order);
+    obj.name = name;
+    return obj;
+};
+
+const names = (objects) => objects.map((obj) => obj.name).join('');
+
+/**
+ * Paintable falling with 0.1 pixel per ms from y = 0
+ */
+const faller = () => {
+    return new A.PaintableWithAnimation(new A.CirclePainter('#FFFFFF', 2),
+            new A.XYAnimation(new A.FixValueAnimation(0), new A.PathAnimation2(0, 1000, 0.1)));
+};
+
+console.log('Testing ObjectManager');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Pause and resume
+console.log('Test 1: Paused objects keep their elapsed time...');
+const om = new A.ObjectManager();
+const ball = faller();
+om.add(ball);
+ball.init();
+om.commit();
+run(om, 10);
+check(Math.abs(ball.getY() - 10) < 1e-9, 'the object moves while running');
+const managerEvents = [];
+om.on(A.EVENT_TYPES.PAUSED, () => managerEvents.push('paused'));
+om.on(A.EVENT_TYPES.RESUMED, () => managerEvents.push('resumed'));
+om.pause();
+om.pause();
+check(om.isPaused() && ball.isPaused() && om.getClock().isPaused(), 'pause stops the clock and every object');
+check(managerEvents.join(',') === 'paused', 'listeners of the manager get PAUSED once');
+run(om, 5, 100);
+check(Math.abs(ball.getY() - 10) < 1e-9, 'paused objects are not updated');
+om.resume();
+check(!ball.isPaused() && managerEvents.join(',') === 'paused,resumed', 'resume continues every object and fires RESUMED');
+run(om, 1);
+check(Math.abs(ball.getY() - 11) < 1e-9, 'the time paused does not count as elapsed');
+console.log();
+
+// Test 2: Single objects
+console.log('Test 2: Objects pause on their own...');
+const single = new A.ObjectManager();
+const paused = faller();
+const running = faller();
+[paused, running].forEach((obj) => {
+    single.add(obj);
+    obj.init();
+});
+single.commit();
+const pausedEvents = [];
+paused.on(A.EVENT_TYPES.PAUSED, () => pausedEvents.push('paused'));
+paused.pause();
+run(single, 10);
+check(paused.getY() === 0 && Math.abs(running.getY() - 10) < 1e-9, 'only the paused object stands still');
+check(pausedEvents.length === 1, 'the object fires PAUSED');
+console.log();
+
+// Test 3: Delegates
+console.log('Test 3: Delegates fire a single PAUSED and RESUMED...');
+const inner = faller();
+const wrapper = new A.PaintableWithStateIndicator(inner, null);
+wrapper.init();
+const delegateEvents = [];
+const record = (name) => () => delegateEvents.push(name);
+[inner, wrapper].forEach((obj) => {
+    obj.on(A.EVENT_TYPES.PAUSED, record('paused'));
+    obj.on(A.EVENT_TYPES.RESUMED, record('resumed'));
+});
+wrapper.pause();
+check(inner.isPaused() && wrapper.isPaused(), 'pausing the wrapper pauses the delegate');
+wrapper.resume();
+check(delegateEvents.join(',') === 'paused,resumed', 'one event each');
+console.log();
+
+// Test 4: Pools
+console.log('Test 4: Pools reuse removed objects and reset them with init...');
+const pooled = new A.ObjectManager();
+let created = 0;
+pooled.createPool('ball', () => {
+    created++;
+    return new A.PaintableWithAnimation(new A.CirclePainter('#FFFFFF', 2),
+            new A.XYAnimation(new A.FixValueAnimation(0), new A.PathAnimation2(0, 100, 1)));
+});
+const first = pooled.spawn('ball', (obj, reused) => obj.xyPosition.xAnimation.setPos(7));
+pooled.commit();
+run(pooled, 3);
+check(first.getY() > 0, 'the spawned object moves');
+first.remove();
+pooled.commit();
+check(pooled.getPoolStats().ball.size === 1, 'the removed object returns to its pool');
+let wasReused = false;
+const second = pooled.spawn('ball', (obj, reused) => {
+    wasReused = reused;
+});
+pooled.commit();
+check(second === first && wasReused && created === 1, 'spawn takes the object from the pool');
+check(second.getY() === 0 && second.getState() === A.STATE.NEW, 'init reset the reused object');
+check(pooled.getPoolStats().ball.hits === 1 && pooled.getPoolStats().ball.misses === 1, 'hits and misses are counted');
+let unknownPool = false;
+try {
+    pooled.spawn('cube');
+} catch (error) {
+    unknownPool = true;
+}
+check(unknownPool, 'spawning an unknown type throws');
+const limited = new A.ObjectManager().createPool('spark', faller, 1);
+const sparks = [limited.spawn('spark'), limited.spawn('spark')];
+limited.commit();
+sparks.forEach((spark) => spark.remove());
+limited.commit();
+check(limited.getPoolStats().spark.size === 1, 'pools keep at most maxSize objects');
+console.log();
+
+// Test 5: Commit ordering
+console.log('Test 5: Commit keeps the objects sorted by order...');
+const ordered = new A.ObjectManager();
+const a = named('a', 5);
+const b = named('b', 1);
+const c = named('c', 5);
+const d = named('d', 0);
+[a, b, c, d].forEach((obj) => ordered.add(obj));
+check(ordered.getAnimations().length === 0, 'additions wait for the commit');
+ordered.commit();
+check(names(ordered.getAnimations()) === 'dbac', 'sorted by order, equal orders keep the order they were added in');
+const e = named('e', 5);
+const f = named('f', 1);
+const g = named('g', 3);
+[e, f, g].forEach((obj) => ordered.add(obj));
+a.remove();
+g.remove();
+ordered.commit();
+check(names(ordered.getAnimations()) === 'dbfce', 'additions are merged in, removals are dropped');
+check(a.getState() === A.STATE.UNMANAGED && g.getState() === A.STATE.UNMANAGED, 'removed objects are UNMANAGED');
+d.setOrder(10);
+ordered.commit();
+check(names(ordered.getAnimations()) === 'bfced', 'changing the order sorts again with the next commit');
+const before = ordered.getAnimations();
+ordered.commit();
+check(ordered.getAnimations() === before, 'a commit without changes keeps the sorted objects');
+const transient = named('t');
+ordered.add(transient);
+transient.remove();
+ordered.commit();
+check(names(ordered.getAnimations()) === 'bfced' && transient.getState() === A.STATE.UNMANAGED,
+        'objects added and removed before a commit are never managed');
+console.log();
+
+// Test 6: Layers
+console.log('Test 6: Layers are updated and painted in their order...');
+const layered = new A.ObjectManager();
+const hud = named('h').setLayer(A.LAYER.HUD);
+const world = named('w', 99);
+const background = named('b').setLayer(A.LAYER.BACKGROUND);
+[hud, world, background].forEach((obj) => layered.add(obj));
+layered.commit();
+check(names(layered.getAnimations()) === 'bwh', 'background, world, hud regardless of the order within a layer');
+check(names(layered.getLayer(A.LAYER.HUD).getAnimations()) === 'h', 'each layer holds its own objects');
+world.setLayer(A.LAYER.EFFECTS);
+layered.commit();
+check(names(layered.getLayer(A.LAYER.EFFECTS).getAnimations()) === 'w', 'objects move to their new layer');
+let unknownLayer = false;
+try {
+    layered.add(named('x').setLayer('nowhere'));
+} catch (error) {
+    unknownLayer = true;
+}
+check(unknownLayer, 'adding an object of an unknown layer throws');
+console.log();
+
+// Test 7: Painting layers
+console.log('Test 7: Layers apply their settings when painting...');
+const painting = new A.ObjectManager();
+const painted = [];
+const cameraCalls = [];
+painting.setCamera({apply: (ctx, parallax) => cameraCalls.push(parallax)});
+const context = {
+    globalAlpha: 1,
+    globalCompositeOperation: 'source-over',
+    save() {},
+    restore() {
+        this.globalAlpha = 1;
+        this.globalCompositeOperation = 'source-over';
+    }
+};
+['b', 'w', 'e', 'h'].forEach((name, i) => {
+    const obj = named(name).setLayer([A.LAYER.BACKGROUND, A.LAYER.WORLD, A.LAYER.EFFECTS, A.LAYER.HUD][i]);
+    obj.paint = (ctx) => painted.push(name + ':' + ctx.globalAlpha + ':' + ctx.globalCompositeOperation);
+    painting.add(obj);
+});
+painting.commit();
+painting.getLayer(A.LAYER.BACKGROUND).setParallax(0.5).setAlpha(0.5);
+painting.getLayer(A.LAYER.EFFECTS).setCompositeOperation('lighter');
+painting.getLayer(A.LAYER.WORLD).setVisible(false);
+painting.paint(context);
+check(painted.join(',') === 'b:0.5:source-over,e:1:lighter,h:1:source-over', 'invisible layers are skipped, alpha and composite operation apply');
+check(cameraCalls.join(',') === '0.5,1', 'the camera moves all but the fixed layers by their parallax');
+let duplicate = false;
+try {
+    painting.addLayer(A.LAYER.HUD);
+} catch (error) {
+    duplicate = true;
+}
+const overlay = painting.addLayer('overlay', {order: 250});
+check(duplicate && painting.getLayers().indexOf(overlay) === 3, 'new layers are sorted in by their order, names are unique');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! ObjectManager works as expected.');
+console.log();
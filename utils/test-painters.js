@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the vector painters
+ * Covers the paths of the shapes, their styles and texts
+ */
+
+import * as A from '../js/animation.js';
+import { EllipsePainter, LinePainter, PolygonPainter, PolylinePainter, RectPainter, RoundedRectPainter, TextPainter } from '../js/painters.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+/**
+ * Stand-in for a CanvasRenderingContext2D recording the path and drawing calls.
+ * Style properties are plain fields, save and restore keep them on a stack.
+ */
+const recordingContext = () => {
+    const calls = [];
+    const stack = [];
+    const record = (name) => (...args) => calls.push(name + '(' + args.join(',') + ')');
+    const STATE = ['fillStyle', 'strokeStyle', 'lineWidth', 'lineDash', 'globalAlpha', 'globalCompositeOperation', 'shadowColor', 'shadowBlur'];
+    const ctx = {
+        calls,
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        lineWidth: 1,
+        lineDash: [],
+        globalAlpha: 1,
+        globalCompositeOperation: 'source-over',
+        shadowColor: 'rgba(0, 0, 0, 0)',
+        shadowBlur: 0,
+        save() {
+            stack.push(STATE.map((key) => ctx[key]));
+        },
+        restore() {
+            stack.pop().forEach((value, i) => {
+                ctx[STATE[i]] = value;
+            });
+        },
+        setLineDash(dash) {
+            ctx.lineDash = dash;
+        },
+        beginPath: record('beginPath'),
+        moveTo: record('moveTo'),
+        lineTo: record('lineTo'),
+        arcTo: record('arcTo'),
+        rect: record('rect'),
+        ellipse: record('ellipse'),
+        closePath: record('closePath'),
+        fill: () => calls.push('fill:' + ctx.fillStyle),
+        stroke: () => calls.push('stroke:' + ctx.strokeStyle + '/' + ctx.lineWidth + '/' + ctx.lineDash.join(' ')),
+        fillText: (text, x, y) => calls.push('fillText(' + text + ',' + x + ',' + y + ')@' + ctx.font),
+        strokeText: (text, x, y) => calls.push('strokeText(' + text + ',' + x + ',' + y + ')'),
+        measureText: (text) => ({width: 10 * text.length}),
+        createLinearGradient: (...args) => {
+            const gradient = {kind: 'linear(' + args.join(',') + ')', stops: []};
+            gradient.addColorStop = (offset, color) => gradient.stops.push(offset + ' ' + color);
+            return gradient;
+        }
+    };
+    return ctx;
+};
+
+const painted = (painter, x = 0, y = 0) => {
+    const ctx = recordingContext();
+    painter.paint(ctx, x, y);
+    return ctx;
+};
+
+console.log('Testing painters');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Shapes
+console.log('Test 1: Painters trace their shape from the paint position...');
+const rect = painted(new RectPainter(30, 20, {fill: 'red'}), 5, 6);
+check(rect.calls.join(' ') === 'beginPath() rect(5,6,30,20) fill:red', 'a filled rectangle without outline');
+const rounded = painted(new RoundedRectPainter(40, 10, 8, {stroke: 'white'}));
+check(rounded.calls.filter((call) => call.startsWith('arcTo')).length === 4 && rounded.calls.indexOf('arcTo(40,0,40,10,5)') >= 0,
+        'rounded corners are limited to half the size');
+check(rounded.calls[rounded.calls.length - 2] === 'closePath()' && rounded.calls.indexOf('fill:white') < 0, 'outlines are not filled');
+const ellipse = new EllipsePainter(10, 5, {fill: 'blue'});
+const traced = painted(ellipse, 100, 100).calls[1];
+check(traced.startsWith('ellipse(110,105,10,5,0,0,') && ellipse.getWidth() === 20 && ellipse.getHeight() === 10,
+        'ellipses fill the box of their radii');
+const polyline = new PolylinePainter([{x: -10, y: 5}, {x: 10, y: -5}, {x: 0, y: 20}], {stroke: 'green'});
+check(painted(polyline, 1, 2).calls.slice(1, 4).join(' ') === 'moveTo(1,12) lineTo(21,2) lineTo(11,27)',
+        'the bounding box of the points starts at the paint position');
+check(polyline.getWidth() === 20 && polyline.getHeight() === 25 && painted(polyline).calls.indexOf('closePath()') < 0,
+        'polylines stay open');
+check(painted(new PolygonPainter([{x: 0, y: 0}, {x: 5, y: 0}, {x: 0, y: 5}], {fill: 'gray'})).calls.indexOf('closePath()') === 4,
+        'polygons are closed');
+const beam = new LinePainter(-30, 0, {stroke: 'red'});
+check(painted(beam, 50, 10).calls.slice(1, 3).join(' ') === 'moveTo(80,10) lineTo(50,10)' && beam.getWidth() === 30,
+        'lines run by (dx, dy)');
+console.log();
+
+// Test 2: Styles
+console.log('Test 2: Styles are applied and restored...');
+const styled = recordingContext();
+new RectPainter(10, 10, {
+    fill: 'orange',
+    stroke: 'yellow',
+    lineWidth: 3,
+    lineDash: [4, 2],
+    shadow: {color: 'cyan', blur: 5},
+    compositeOperation: 'lighter',
+    alpha: 0.5
+}).paint(styled, 20, 30);
+check(styled.calls.slice(-2).join(' ') === 'fill:orange stroke:yellow/3/4 2', 'fill first, then the outline with its width and dash');
+check(styled.fillStyle === '#000000' && styled.globalAlpha === 1 && styled.globalCompositeOperation === 'source-over' &&
+        styled.shadowColor === 'rgba(0, 0, 0, 0)' && styled.lineDash.length === 0, 'the context is restored after painting');
+const gradientContext = recordingContext();
+let gradient = null;
+const createLinearGradient = gradientContext.createLinearGradient;
+gradientContext.createLinearGradient = (...args) => {
+    gradient = createLinearGradient(...args);
+    return gradient;
+};
+new RectPainter(10, 10, {fill: {type: 'linear', x0: 0, y0: 0, x1: 10, y1: 0, stops: [[0, 'white'], [1, 'black']]}})
+        .paint(gradientContext, 20, 30);
+check(gradient.kind === 'linear(20,30,30,30)' && gradient.stops.join() === '0 white,1 black',
+        'gradient coordinates are relative to the paint position');
+console.log();
+
+// Test 3: Texts
+console.log('Test 3: TextPainter paints fixed and changing texts...');
+let score = 0;
+const text = new TextPainter(() => 'Score ' + score, {font: '12px monospace'});
+score = 42;
+const written = painted(text, 5, 5);
+check(written.calls.join() === 'fillText(Score 42,5,5)@12px monospace', 'functions are called on paint, texts are filled by default');
+check(text.getWidth() === 80 && text.getHeight() === 12, 'the size is measured on paint');
+const outlined = painted(new TextPainter('GAME OVER', {stroke: 'red', font: '30pt Arial'}));
+check(outlined.calls.join() === 'strokeText(GAME OVER,0,0)' && new TextPainter('x').getHeight() > 26, 'texts with an outline only are not filled');
+console.log();
+
+// Test 4: Paintables
+console.log('Test 4: Painters are paintables of a PaintableWithAnimation...');
+const hud = new A.PaintableWithAnimation(new RectPainter(100, 8, {fill: 'green'}),
+        new A.XYAnimation(new A.FixValueAnimation(10), new A.FixValueAnimation(590)));
+const hudContext = recordingContext();
+hud.paint(hudContext);
+check(hudContext.calls.indexOf('rect(10,590,100,8)') >= 0, 'painted at the position of the object');
+const polygon = hud.getBoundingPolygon();
+check(polygon.length === 4 && polygon[2].x === 110 && polygon[2].y === 598, 'the size gives the bounding polygon');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! Painters work as expected.');
+console.log();
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the ParallaxBackground
+ * Covers scrolling the tiles and filling the view of the camera
+ */
+
+import * as A from '../js/animation.js';
+import { Camera } from '../js/camera.js';
+import { Clock } from '../js/clock.js';
+import { ParallaxBackground, StarTilePainter } from '../js/parallax.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+/**
+ * Tile remembering where it was painted
+ */
+class Tile {
+        constructor(width, height) {
+            this.width = width;
+            this.height = height;
+            this.painted = [];
+        }
+
+        getWidth() {
+            return this.width;
+        }
+
+        getHeight() {
+            return this.height;
+        }
+
+        paint(ctx, x, y) {
+            this.painted.push({x, y, alpha: ctx.globalAlpha});
+        }
+    }
+
+/**
+ * Stand-in for a CanvasRenderingContext2D, the transformations are ignored
+ */
+const context = () => {
+    const ignore = () => {};
+    return {globalAlpha: 1, save: ignore, restore: ignore, translate: ignore, rotate: ignore, scale: ignore};
+};
+
+/**
+ * @returns {boolean} - whether the painted tiles cover the rectangle
+ */
+const covers = (tile, rect) => {
+    const xs = tile.painted.map((at) => at.x);
+    const ys = tile.painted.map((at) => at.y);
+    return Math.min(...xs) <= rect.xmin && Math.max(...xs) + tile.width >= rect.xmax &&
+            Math.min(...ys) <= rect.ymin && Math.max(...ys) + tile.height >= rect.ymax;
+};
+
+console.log('Testing ParallaxBackground');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Scrolling
+console.log('Test 1: Layers scroll with their speed and wrap around...');
+const far = new Tile(100, 100);
+const close = new Tile(50, 50);
+const background = new ParallaxBackground(200, 100)
+        .addLayer(far, {speedY: 0.1})
+        .addLayer(close, {speedX: -0.1, alpha: 0.5});
+background.setClock(new Clock());
+background.init();
+background.update(150);
+check(near(background.getLayers()[0].offsetY, 15) && near(background.getLayers()[1].offsetX, 35), 'offsets move by speed and wrap at the tile size');
+background.paint(context());
+check(far.painted.length === 2 * 2 && close.painted.length === 5 * 2, 'the tiles fill the area');
+check(far.painted[0].x === 0 && near(far.painted[0].y, -85) && near(close.painted[0].x, -15), 'the first tile starts left of and above the area');
+check(close.painted.every((at) => at.alpha === 0.5) && far.painted[0].alpha === 1, 'each layer has its own alpha');
+far.painted = [];
+background.paint(context(), 0.5);
+check(near(far.painted[0].y, -92.5), 'painting interpolates between the last two updates');
+console.log();
+
+// Test 2: Camera
+console.log('Test 2: In a layer following the camera the view is filled...');
+const om = new A.ObjectManager();
+const camera = new Camera(200, 100);
+om.setCamera(camera);
+om.getLayer(A.LAYER.BACKGROUND).setParallax(0.5);
+const tile = new Tile(40, 40);
+const stars = new ParallaxBackground(200, 100).addLayer(tile).setLayer(A.LAYER.BACKGROUND);
+om.add(stars);
+stars.init();
+om.commit();
+camera.setPosition(1100, 550).setZoom(0.5);
+const view = camera.getViewRect(0.5);
+check(near(view.xmin, 100 + 1000 * 0.5 - 200) && near(view.ymin, 50 + 500 * 0.5 - 100), 'the view of a layer moves by its parallax');
+om.paint(context());
+check(covers(tile, view), 'the tiles cover the view of the layer');
+check(tile.painted.every((at) => at.x + 40 >= view.xmin - 64 && at.x <= view.xmax + 64), 'tiles far outside the view are not painted');
+om.getLayer(A.LAYER.BACKGROUND).setFixed(true);
+tile.painted = [];
+om.paint(context());
+check(covers(tile, {xmin: 0, ymin: 0, xmax: 200, ymax: 100}) && Math.max(...tile.painted.map((at) => at.x)) < 200,
+        'a fixed layer is filled like the canvas');
+console.log();
+
+// Test 3: Star tiles
+console.log('Test 3: StarTilePainter places its stars once...');
+const starTile = new StarTilePainter(300, 200, 25, 2);
+check(starTile.stars.length === 25 && starTile.stars.every((star) => star.x < 300 && star.y < 200 && star.radius <= 2),
+        'the stars lie within the tile');
+const arcs = [];
+starTile.paint({beginPath() {}, fill() {}, arc: (x, y) => arcs.push(x + ',' + y)}, 10, 20);
+starTile.paint({beginPath() {}, fill() {}, arc: (x, y) => arcs.push(x + ',' + y)}, 10, 20);
+check(arcs.length === 50 && arcs.slice(0, 25).join() === arcs.slice(25).join(), 'every paint shows the same stars');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! ParallaxBackground works as expected.');
+console.log();
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the ParticleEmitter
+ * Covers emitting, moving and painting particles
+ */
+
+import * as A from '../js/animation.js';
+import { Clock } from '../js/clock.js';
+import { PARTICLE_SHAPE, ParticleEmitter } from '../js/particles.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+const near = (a, b, tolerance = 1e-4) => Math.abs(a - b) < tolerance;
+
+/**
+ * Binds the component to a fresh clock and initializes it at time 0
+ */
+const started = (component) => {
+    component.setClock(new Clock());
+    component.init();
+    return component;
+};
+
+/**
+ * Stand-in for a CanvasRenderingContext2D recording what is filled
+ */
+const recordingContext = () => {
+    const ctx = {
+        globalAlpha: 1,
+        globalCompositeOperation: 'source-over',
+        fills: [],
+        save() {},
+        restore() {},
+        beginPath() {},
+        arc(x, y, radius) {
+            ctx.current = {x, y, radius};
+        },
+        fill() {
+            ctx.fills.push(Object.assign({style: ctx.fillStyle, alpha: ctx.globalAlpha}, ctx.current));
+        },
+        fillRect(x, y, width) {
+            ctx.fills.push({style: ctx.fillStyle, alpha: ctx.globalAlpha, x, y, width});
+        },
+        drawImage(img, x, y, width) {
+            ctx.fills.push({img, alpha: ctx.globalAlpha, x, y, width});
+        }
+    };
+    return ctx;
+};
+
+console.log('Testing ParticleEmitter');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Emitting
+console.log('Test 1: Particles are emitted by rate and in bursts...');
+const position = new A.XYAnimation(new A.FixValueAnimation(100), new A.FixValueAnimation(50));
+const engine = started(new ParticleEmitter({position, offsetY: 10, rate: 100, lifetime: 1000, speed: 0.1, angle: Math.PI / 2, spread: 0}));
+engine.update(25);
+check(engine.getCount() === 2, 'rate is in particles per second');
+engine.update(50);
+check(engine.getCount() === 5, 'fractions of particles are carried over');
+check(near(engine.x[0], 100) && near(engine.y[0], 60 + 0.1 * 50), 'particles start at the position and fly into the cone');
+engine.stop().burst(3);
+engine.update(900);
+check(engine.getCount() === 8 && !engine.isEmitting(), 'bursts add particles, stop ends the rate');
+const full = started(new ParticleEmitter({maxParticles: 10, burst: 25}));
+check(full.getCount() === 10, 'particles beyond the capacity are dropped');
+const falling = started(new ParticleEmitter({burst: 1, speed: 0, gravity: {x: 0, y: 0.001}, drag: 0.01}));
+falling.update(10);
+check(near(falling.vy[0], 0.01 * Math.exp(-0.1)) && falling.x[0] === 0, 'gravity pulls, drag slows down');
+console.log();
+
+// Test 2: Lifetime
+console.log('Test 2: Particles die after their lifetime...');
+const explosion = started(new ParticleEmitter({burst: 20, lifetime: [100, 200]}));
+let ends = 0;
+explosion.on(A.EVENT_TYPES.ANIMATION_END, () => ends++);
+explosion.update(150);
+check(explosion.getCount() > 0 && explosion.getCount() < 20 && ends === 0, 'old particles are removed, young ones stay');
+check(Array.from(explosion.age.subarray(0, explosion.getCount())).every((age, i) => age < explosion.life[i]),
+        'the living particles are kept at the start');
+explosion.update(200);
+explosion.update(300);
+check(explosion.getCount() === 0 && ends === 1, 'the emitter ends once after its last particle');
+explosion.init();
+check(explosion.getCount() === 20, 'init bursts again');
+engine.update(3000);
+check(engine.getCount() === 0, 'particles of a stopped emitter die as well');
+console.log();
+
+// Test 3: Painting
+console.log('Test 3: Particles fade through their colors...');
+const sparks = started(new ParticleEmitter({burst: 1, speed: 0, lifetime: 100, colors: ['#fff', '#000000'], size: [10, 2], alpha: [1, 0]}));
+const fresh = recordingContext();
+sparks.paint(fresh);
+check(fresh.fills[0].style === 'rgb(255,255,255)' && fresh.fills[0].radius === 5 && fresh.fills[0].alpha === 1, 'young particles use the start values');
+sparks.update(50);
+const older = recordingContext();
+sparks.paint(older);
+check(older.fills[0].radius === 3 && near(older.fills[0].alpha, 0.5), 'size and alpha change over life');
+check(sparks.fillStyles.indexOf(older.fills[0].style) >= 0 && /^rgb\((12[0-9]|13[0-5]),/.test(older.fills[0].style),
+        'the color is picked from the fill styles of the emitter');
+sparks.update(99);
+const dying = recordingContext();
+sparks.paint(dying);
+check(dying.fills[0].style === 'rgb(0,0,0)', 'old particles reach the last color');
+const single = started(new ParticleEmitter({burst: 2, colors: ['#ff8000'], shape: PARTICLE_SHAPE.SQUARE}));
+const squares = recordingContext();
+single.paint(squares);
+check(squares.fills.length === 2 && squares.fills.every((fill) => fill.style === '#ff8000' && fill.width === 4),
+        'a single color is used as it is, squares are filled as rectangles');
+const sprite = {};
+const images = recordingContext();
+started(new ParticleEmitter({burst: 1, sprite, additive: true})).paint(images);
+check(images.fills[0].img === sprite && images.globalCompositeOperation === 'lighter', 'sprites are drawn with additive blending');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! ParticleEmitter works as expected.');
+console.log();
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the SceneLoader
+ * Covers creating trees from nodes, serializing them and the scenes in the scenes directory
+ */
+
+import fs from 'fs';
+import * as A from '../js/animation.js';
+import { AssetManager } from '../js/assets.js';
+import { SpriteShapes } from '../js/collision.js';
+import { SceneLoader } from '../js/sceneLoader.js';
+import { EASING } from '../js/tween.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+/**
+ * Stand-in for a loaded image
+ */
+class FakeImage {
+}
+
+const roundTrip = (loader, obj) => {
+    const serialized = loader.serialize(obj);
+    const recreated = loader.create(JSON.parse(JSON.stringify(serialized)));
+    return {serialized, recreated, again: loader.serialize(recreated)};
+};
+
+const sheet = {img: new FakeImage()};
+const image = new FakeImage();
+const sprite = new A.SpriteDescriptor(new FakeImage(), 32, 32, 4, 8);
+const assets = new AssetManager().registerLoader('value', (entry) => Promise.resolve(entry.value));
+await assets.load([
+    {name: 'sheet', type: 'value', value: sheet},
+    {name: 'image', type: 'value', value: image},
+    {name: 'asteroid1', type: 'value', value: sprite},
+    {name: 'asteroid3', type: 'value', value: new A.SpriteDescriptor(new FakeImage(), 16, 16, 4, 4)}
+]);
+const loader = new SceneLoader(assets);
+
+console.log('Testing SceneLoader');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Create and serialize
+console.log('Test 1: SceneLoader creates and serializes the same scene...');
+const scene = {
+    type: 'PaintableWithAnimation',
+    order: 3,
+    layer: A.LAYER.EFFECTS,
+    args: [
+        {type: 'ImgPainter', args: [{asset: 'sheet', property: 'img'}, 32, {param: 'size', scale: 2}]},
+        {type: 'XYAnimation', args: [
+            {type: 'TweenAnimation', args: [0, 100, 500, {easing: 'QUAD_OUT'}]},
+            {type: 'FixValueAnimation', args: [{param: 'size', offset: 1}]}
+        ]}
+    ]
+};
+const created = loader.create(scene, {size: 8});
+check(created instanceof A.PaintableWithAnimation && created.getOrder() === 3 && created.getLayer() === A.LAYER.EFFECTS,
+        'the top level object with order and layer');
+check(created.paintable.img === sheet.img && created.paintable.height === 16, 'assets and parameters are resolved');
+check(created.xyPosition.xAnimation.easing === EASING.QUAD_OUT, 'easings are resolved by name');
+const {serialized, again} = roundTrip(loader, created);
+check(serialized.args[0].args[0].asset === 'sheet' && serialized.args[0].args[0].property === 'img',
+        'assets are serialized as references');
+check(JSON.stringify(again) === JSON.stringify(serialized), 'create(serialize(x)) serializes to the same node');
+const shared = new A.FixValueAnimation(5);
+const twice = new A.XYAnimation(shared, shared);
+const sharedNode = loader.serialize(twice);
+check(sharedNode.args[0].id !== undefined && sharedNode.args[1].ref === sharedNode.args[0].id, 'shared components get an id and a ref');
+const sharedAgain = loader.create(sharedNode);
+check(sharedAgain.xAnimation === sharedAgain.yAnimation, 'refs create a single shared instance');
+console.log();
+
+// Test 2: Sprites
+console.log('Test 2: Sprite descriptors are serialized as assets or inline...');
+const fromAsset = loader.serialize(new A.SpriteAnimation(sprite, 1, false, 100, 1));
+check(fromAsset.args[0].asset === 'asteroid1', 'a descriptor loaded by the AssetManager stays a reference');
+const shapes = new SpriteShapes([[[{x: 0, y: 0}, {x: 8, y: 0}, {x: 0, y: 8}]]], true);
+const inline = new A.SpriteAnimation(new A.SpriteDescriptor(image, 8, 8, 1, 1, shapes), -1, true, 50, 0.5);
+const spriteTrip = roundTrip(loader, inline);
+check(spriteTrip.serialized.args[0].type === 'SpriteDescriptor' && spriteTrip.serialized.args[0].args[0].asset === 'image',
+        'other descriptors are serialized with their constructor arguments');
+const descriptor = spriteTrip.recreated.spriteDescriptor;
+check(descriptor !== inline.spriteDescriptor && descriptor.img === image && descriptor.sx === 8 && descriptor.noSprites === 1,
+        'the descriptor is created again');
+check(descriptor.shapes instanceof SpriteShapes && descriptor.shapes.convex &&
+        JSON.stringify(descriptor.shapes.getPolygons(0)) === JSON.stringify(shapes.getPolygons(0)), 'with its shapes');
+check(JSON.stringify(spriteTrip.again) === JSON.stringify(spriteTrip.serialized), 'and serializes to the same node');
+console.log();
+
+// Test 3: Scene files
+console.log('Test 3: The asteroid with satellites scene...');
+const asteroidScene = JSON.parse(fs.readFileSync('scenes/asteroid-with-satellites.json'));
+const asteroid = loader.create(asteroidScene, {dir: 1, screenHeight: 600, speed: 0.1});
+check(asteroid instanceof A.SceneNode && asteroid.paintable.spriteDescriptor === sprite, 'the asteroid uses the loaded sprite');
+const satellites = asteroid.getChildren();
+check(satellites.length === 3 && satellites[1].paintable === satellites[2].paintable &&
+        satellites[2].getChildren()[1].paintable === satellites[1].paintable, 'the satellites share one sprite animation');
+const sceneTrip = roundTrip(loader, asteroid);
+check(JSON.stringify(sceneTrip.again) === JSON.stringify(sceneTrip.serialized), 'the created scene can be serialized again');
+let missing = null;
+try {
+    loader.create(asteroidScene, {dir: 1});
+} catch (error) {
+    missing = error;
+}
+check(missing !== null && missing.message.indexOf('screenHeight') >= 0, 'missing parameters are reported');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! SceneLoader works as expected.');
+console.log();
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Timeline
+ * Covers interpolation, keyframe and marker events, loops, play rate and seek
+ */
+
+import * as A from '../js/animation.js';
+import { Clock } from '../js/clock.js';
+import { Timeline, INTERPOLATION } from '../js/timeline.js';
+import { EASING } from '../js/tween.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+/**
+ * Binds the component to a fresh clock and initializes it at time 0
+ */
+const started = (component) => {
+    component.setClock(new Clock());
+    component.init();
+    return component;
+};
+
+/**
+ * Collects the KEYFRAME events of the timeline as "name" or "property@time"
+ */
+const record = (timeline) => {
+    const passed = [];
+    timeline.on(A.EVENT_TYPES.KEYFRAME, (type, event) => passed.push(event.name || event.property + '@' + event.time));
+    return passed;
+};
+
+console.log('Testing Timeline');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Tracks and events
+console.log('Test 1: Timeline interpolates tracks and fires keyframes...');
+const timeline = new Timeline()
+        .addKeyframe('x', 0, 0)
+        .addKeyframe('x', 100, 10)
+        .addKeyframe('frame', 0, 0)
+        .addKeyframe('frame', 60, 3, INTERPOLATION.STEP)
+        .addMarker(50, 'half');
+const passed = record(timeline);
+let timelineEnds = 0;
+timeline.on(A.EVENT_TYPES.ANIMATION_END, () => timelineEnds++);
+started(timeline);
+timeline.update(55);
+check(near(timeline.getX(), 5.5), 'linear track is interpolated');
+check(timeline.channel('frame').getValue() === 0, 'step track holds its value until the keyframe');
+check(passed.join(',') === 'x@0,frame@0,half', 'keyframes at the start and markers are passed in order');
+timeline.update(120);
+check(timeline.getX() === 10 && timeline.getValue('frame') === 3, 'the end values are kept');
+check(passed.join(',') === 'x@0,frame@0,half,frame@60,x@100', 'the remaining keyframes are passed');
+check(timeline.isFinished() && timelineEnds === 1, 'ends once without loop');
+const eased = started(new Timeline().addKeyframe('y', 0, 0).addKeyframe('y', 100, 100, EASING.QUAD_IN));
+eased.update(50);
+check(near(eased.getY(), 25), 'easing functions shape the interpolation');
+console.log();
+
+// Test 2: Loops
+console.log('Test 2: Looping timelines fire the events of every loop...');
+const looping = started(new Timeline({loop: true}).addKeyframe('x', 0, 0).addKeyframe('x', 100, 100).addMarker(50, 'half'));
+const loopPassed = record(looping);
+looping.update(130);
+check(near(looping.getX(), 30) && !looping.isFinished(), 'a looping timeline starts over');
+check(loopPassed.join(',') === 'x@0,half,x@100,x@0', 'the end and the start are passed when it starts over');
+loopPassed.length = 0;
+looping.update(460);
+check(near(looping.getX(), 60), 'a long frame ends at the right position');
+check(loopPassed.filter((name) => name === 'half').length === 4,
+        'a frame longer than the loop fires the events of the loops in between');
+check(loopPassed.join(',') === 'half,x@100,x@0,half,x@100,x@0,half,x@100,x@0,half', 'in the order they are passed');
+console.log();
+
+// Test 3: Rate and seek
+console.log('Test 3: Play rate and seek...');
+const backwards = started(new Timeline({rate: -2}).addKeyframe('x', 0, 0).addKeyframe('x', 100, 100).addMarker(20, 'early'));
+const backwardsPassed = record(backwards);
+check(backwards.getX() === 100, 'a negative rate starts at the end');
+backwards.update(30);
+check(near(backwards.getX(), 40) && backwardsPassed.join(',') === 'x@100', 'plays backwards at double speed');
+backwards.update(60);
+check(backwards.getX() === 0 && backwards.isFinished() && backwardsPassed.join(',') === 'x@100,early,x@0',
+        'ends at the start');
+const seeking = started(new Timeline().addKeyframe('x', 0, 0).addKeyframe('x', 100, 100).addMarker(50, 'half').addLabel('late', 80));
+const seekPassed = record(seeking);
+seeking.seek('late');
+check(seeking.getX() === 80 && seekPassed.length === 0, 'seek jumps to a label without events');
+let unknown = null;
+try {
+    seeking.seek('nowhere');
+} catch (error) {
+    unknown = error;
+}
+check(unknown !== null, 'unknown labels throw');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! Timeline works as expected.');
+console.log();
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the transformations of paintables
+ * Covers the Transform channels of PaintableWithAnimation and the world matrices of SceneNodes
+ */
+
+import * as A from '../js/animation.js';
+import { TweenAnimation } from '../js/tween.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+//paintables in the order they were painted
+const paintOrder = [];
+
+/**
+ * Paintable of the given size remembering where it was painted
+ */
+class Sized extends A.AnimationComponent {
+        constructor(width, height) {
+            super();
+            this.width = width;
+            this.height = height;
+            this.painted = [];
+        }
+
+        getWidth() {
+            return this.width;
+        }
+
+        getHeight() {
+            return this.height;
+        }
+
+        paint(ctx, x, y) {
+            this.painted.push({x, y, alpha: ctx.globalAlpha});
+            paintOrder.push(this);
+        }
+    }
+
+/**
+ * Stand-in for a CanvasRenderingContext2D recording the transformation calls
+ */
+const recordingContext = () => {
+    const calls = [];
+    const record = (name) => (...args) => calls.push(name + '(' + args.map((arg) => Math.round(arg * 1000) / 1000).join(',') + ')');
+    return {
+        calls,
+        globalAlpha: 1,
+        save: record('save'),
+        restore: record('restore'),
+        translate: record('translate'),
+        rotate: record('rotate'),
+        scale: record('scale')
+    };
+};
+
+const xy = (x, y) => new A.XYAnimation(new A.FixValueAnimation(x), new A.FixValueAnimation(y));
+
+const managed = (obj) => {
+    const om = new A.ObjectManager();
+    om.add(obj);
+    obj.init();
+    om.commit();
+    return om;
+};
+
+console.log('Testing transformations');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Channels
+console.log('Test 1: Transform resolves numbers and value animations...');
+const identity = new A.Transform();
+check(identity.isIdentity() && identity.getAnimations().length === 0, 'the default transform changes nothing');
+const resolved = new A.Transform({rotation: 1, scaleX: 2, anchorX: 0, anchorY: 1, alpha: 0.5}).resolve(10, 20, 30, 40);
+check(resolved.x === 10 && resolved.y === 20 && resolved.rotation === 1 && resolved.scaleX === 2 && resolved.scaleY === 1,
+        'position, rotation and scale');
+check(resolved.originX === 0 && resolved.originY === 40 && resolved.alpha === 0.5, 'the anchor is a fraction of the size');
+const spin = new A.ArcBaseAnmimation(0, 1, 90);
+const zoom = new TweenAnimation(1, 3, 1000);
+const animated = new A.Transform({rotation: spin, scaleX: zoom, scaleY: zoom});
+check(animated.getAnimations().length === 2 && animated.getAnimations()[0] === spin, 'each animated channel is listed once');
+console.log();
+
+// Test 2: Animated channels
+console.log('Test 2: Animated channels are updated with their PaintableWithAnimation...');
+const fade = new TweenAnimation(1, 0, 1000);
+const rock = new A.PaintableWithAnimation(new Sized(10, 20), xy(100, 50))
+        .setTransform(new A.Transform({rotation: new A.ArcBaseAnmimation(0, 1, 0.09), scaleX: zoom, scaleY: zoom, alpha: fade}));
+const om = managed(rock);
+om.update(om.getClock().step(500));
+const halfway = rock.getTransform();
+check(near(halfway.rotation, Math.PI / 4) && near(halfway.scaleX, 2) && near(halfway.alpha, 0.5),
+        'rotation, scale and alpha follow their animations');
+check(halfway.x === 100 && halfway.y === 50 && halfway.originX === 5 && halfway.originY === 10, 'the pivot is the center');
+om.update(om.getClock().step(500));
+const polygon = rock.getBoundingPolygon();
+const xs = polygon.map((point) => point.x);
+const ys = polygon.map((point) => point.y);
+check(near(Math.min(...xs), 105 - 30) && near(Math.max(...xs), 105 + 30) && near(Math.min(...ys), 60 - 15) && near(Math.max(...ys), 60 + 15),
+        'the bounding polygon is turned by 90 degrees and scaled by 3 around the center');
+console.log();
+
+// Test 3: Painting
+console.log('Test 3: Paint applies the transformation around the anchor...');
+const plain = new A.PaintableWithAnimation(new Sized(10, 20), xy(100, 50));
+const plainContext = recordingContext();
+plain.paint(plainContext);
+check(plainContext.calls.length === 0 && plain.paintable.painted[0].x === 100, 'without transform the paintable is painted at the position');
+const turned = new A.PaintableWithAnimation(new Sized(10, 20), xy(100, 50))
+        .setTransform(new A.Transform({rotation: Math.PI, scaleY: 2, alpha: 0.25}));
+const context = recordingContext();
+turned.paint(context);
+check(context.calls.join(' ') === 'save() translate(105,60) rotate(3.142) scale(1,2) restore()',
+        'the canvas is moved to the anchor, turned and scaled');
+check(turned.paintable.painted[0].x === -5 && turned.paintable.painted[0].y === -10 && turned.paintable.painted[0].alpha === 0.25,
+        'the paintable is painted around the anchor with the alpha of the transform');
+console.log();
+
+// Test 4: World matrices
+console.log('Test 4: SceneNode children inherit the transformation of their parents...');
+const parent = new A.SceneNode(new Sized(40, 40), xy(100, 100), new A.Transform({rotation: Math.PI / 2, scaleX: 2, scaleY: 2}));
+const child = new A.SceneNode(new Sized(10, 10), xy(10, 0), new A.Transform({rotation: Math.PI / 2}));
+const grandchild = new A.SceneNode(null, xy(5, 0));
+parent.addChild(child.addChild(grandchild));
+check(parent.getX() === 100 && parent.getY() === 100, 'a top level node is placed at its position');
+check(near(child.getX(), 100) && near(child.getY(), 120), 'the offset of a child is turned and scaled by its parent');
+check(near(grandchild.getX(), 90) && near(grandchild.getY(), 120), 'grandchildren combine all transformations above them');
+const childTransform = child.getTransform();
+check(near(childTransform.rotation, Math.PI) && near(childTransform.scaleX, 2) && near(childTransform.scaleY, 2),
+        'getTransform adds up the rotations and multiplies the scales');
+check(near(childTransform.x, 95) && near(childTransform.y, 115) && childTransform.originX === 5,
+        'the anchor is relative to the size of the paintable');
+const corners = child.getBoundingPolygon();
+check(corners.every((point) => near(Math.abs(point.x - 100), 10) && near(Math.abs(point.y - 120), 10)),
+        'the bounding polygon is scaled around the anchor');
+console.log();
+
+// Test 5: Moving parents
+console.log('Test 5: Children follow their moving parents...');
+const orbit = new A.ArcBaseAnmimation(0, 1, 0.09);
+const asteroid = new A.SceneNode(new Sized(20, 20), new A.XYAnimation(new A.PathAnimation2(0, 1000, 0.1), new A.FixValueAnimation(0)),
+        new A.Transform({rotation: orbit}));
+const satellite = new A.SceneNode(new Sized(4, 4), xy(30, 0));
+const behind = new A.SceneNode(new Sized(4, 4), xy(-30, 0)).setOrder(-1);
+asteroid.addChild(satellite).addChild(behind);
+const moving = managed(asteroid);
+moving.update(moving.getClock().step(1000));
+check(near(asteroid.getX(), 100) && near(satellite.getX(), 100) && near(satellite.getY(), 30),
+        'the satellite moves and turns with the asteroid');
+const sceneContext = recordingContext();
+paintOrder.length = 0;
+asteroid.paint(sceneContext);
+check(paintOrder.length === 3 && [behind, asteroid, satellite].every((node, i) => paintOrder[i] === node.paintable),
+        'children with an order below 0 are painted behind their parent');
+check(sceneContext.calls.filter((call) => call === 'save()').length === 3 && sceneContext.calls[sceneContext.calls.length - 1] === 'restore()',
+        'each node saves and restores the canvas state');
+check(behind.paintable.painted.length === 1 && satellite.paintable.painted[0].x === -2, 'children are painted relative to their parent');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! Transformations work as expected.');
+console.log();
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the tween library
+ * Covers the easing functions, cubicBezier and TweenAnimation
+ */
+
+import * as A from '../js/animation.js';
+import { Clock } from '../js/clock.js';
+import { EASING, TweenAnimation, cubicBezier } from '../js/tween.js';
+
+const check = (condition, message) => {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+    } else {
+        console.error(`  ✗ ${message}`);
+        process.exit(1);
+    }
+};
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+/**
+ * Binds the component to a fresh clock and initializes it at time 0
+ */
+const started = (component) => {
+    const clock = new Clock();
+    component.setClock(clock);
+    component.init();
+    return component;
+};
+
+console.log('Testing tweens');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Easing functions
+console.log('Test 1: Easing functions start at 0 and end at 1...');
+const names = Object.keys(EASING);
+check(names.every((name) => near(EASING[name](0), 0) && near(EASING[name](1), 1)), `all ${names.length} easings`);
+check(near(EASING.QUAD_IN(0.5), 0.25) && near(EASING.QUAD_OUT(0.5), 0.75) && near(EASING.CUBIC_IN(0.5), 0.125),
+        'quad and cubic curves');
+check(EASING.BACK_IN(0.2) < 0 && EASING.ELASTIC_OUT(0.2) > 1, 'back and elastic leave [0, 1]');
+check(names.filter((name) => name.endsWith('_IN_OUT')).every((name) => near(EASING[name](0.5), 0.5)),
+        'in-out curves are halfway at half time');
+console.log();
+
+// Test 2: cubicBezier
+console.log('Test 2: cubicBezier follows the CSS timing curves...');
+const linear = cubicBezier(0, 0, 1, 1);
+check([0.1, 0.3, 0.7].every((t) => near(linear(t), t, 1e-5)), 'cubic-bezier(0, 0, 1, 1) is linear');
+const ease = cubicBezier(0.25, 0.1, 0.25, 1);
+check(near(ease(0.5), 0.8024, 1e-3), 'the CSS "ease" curve');
+const flat = cubicBezier(0, 0.5, 1, 0.5);
+check(near(flat(0.5), 0.5, 1e-5) && flat(0) === 0 && flat(1) === 1, 'flat parts are solved as well');
+console.log();
+
+// Test 3: TweenAnimation
+console.log('Test 3: TweenAnimation eases, repeats and ends...');
+const tween = started(new TweenAnimation(0, 100, 100));
+let tweenEnds = 0;
+tween.on(A.EVENT_TYPES.ANIMATION_END, () => tweenEnds++);
+tween.update(50);
+check(near(tween.getValue(), 50), 'linear tween is halfway after half the duration');
+tween.update(150);
+tween.update(200);
+check(tween.getValue() === 100 && tween.isFinished() && tweenEnds === 1, 'keeps the end value and ends once');
+const eased = started(new TweenAnimation(0, 100, 100, {easing: EASING.QUAD_IN, delay: 20}));
+eased.update(10);
+check(eased.getValue() === 0, 'stays at "from" during the delay');
+eased.update(70);
+check(near(eased.getValue(), 25), 'the easing shapes the progress');
+const yoyo = started(new TweenAnimation(0, 100, 100, {repeat: 1, yoyo: true}));
+yoyo.update(150);
+check(near(yoyo.getValue(), 50) && !yoyo.isFinished(), 'the second run of a yoyo goes back');
+yoyo.update(250);
+check(yoyo.getValue() === 0 && yoyo.isFinished(), 'a yoyo with one repeat ends at "from"');
+tween.init();
+check(tween.getValue() === 0 && !tween.isFinished(), 'init starts the tween again');
+console.log();
+
+// Test 4: Consumers of getValue
+console.log('Test 4: Tweens drive the coordinates of a XYAnimation...');
+const om = new A.ObjectManager();
+const entrance = new A.XYAnimation(new TweenAnimation(-50, 50, 100, {easing: EASING.CUBIC_OUT}), new A.FixValueAnimation(20));
+const enemy = new A.PaintableWithAnimation(new A.CirclePainter('#FFFFFF', 2), entrance);
+om.add(enemy);
+enemy.init();
+om.commit();
+om.update(om.getClock().step(50));
+check(near(enemy.getX(), -50 + 100 * EASING.CUBIC_OUT(0.5)) && enemy.getY() === 20, 'the object follows the tween');
+console.log();
+
+console.log('='.repeat(80));
+console.log('✅ All tests passed! Tweens work as expected.');
+console.log();